@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// ============================================================
+// DES-CBC throughput benchmark: node bench.js [MB] [runs] [js|node]
+// ============================================================
+
+import { buildCPIFromPPI, jsCipher } from './converter.js';
+import { nodeCipher } from './node-cipher.js';
+
+const CIPHERS = { js: jsCipher, node: nodeCipher };
+
+const sizeMB = Number(process.argv[2] ?? 64);
+const runs = Number(process.argv[3] ?? 3);
+const cipher = CIPHERS[process.argv[4] ?? 'js'];
+if (!(sizeMB > 0) || !Number.isInteger(runs) || runs < 1 || !cipher) {
+  console.error('usage: node bench.js [MB] [runs] [js|node]');
+  process.exit(1);
+}
+
+// Synthetic pack: a minimal XPIH and a pseudo-random payload (xorshift, so runs are repeatable)
+const payloadRaw = new Uint8Array(Math.round(sizeMB * 1024 * 1024));
+let x = 0x9E3779B9;
+for (let i = 0; i < payloadRaw.length; i++) {
+  x ^= x << 13; x ^= x >>> 17; x ^= x << 5;
+  payloadRaw[i] = x;
+}
+const ppiData = { xpihChunk: new Uint8Array([0x58, 0x50, 0x49, 0x48, 0, 0, 0, 0]), payloadRaw };
+
+buildCPIFromPPI({ ...ppiData, payloadRaw: payloadRaw.subarray(0, 64 * 1024) }, null, { cipher }); // warm up
+
+const rates = [];
+for (let run = 1; run <= runs; run++) {
+  const start = performance.now();
+  buildCPIFromPPI(ppiData, null, { cipher });
+  const seconds = (performance.now() - start) / 1000;
+  rates.push(sizeMB / seconds);
+  console.log(`${cipher.name} run ${run}: ${sizeMB} MB in ${seconds.toFixed(2)} s — ${(sizeMB / seconds).toFixed(1)} MB/s`);
+}
+rates.sort((a, b) => a - b);
+console.log(`median: ${rates[Math.floor(rates.length / 2)].toFixed(1)} MB/s`);
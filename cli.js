@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+// ============================================================
+// cpi-tool — headless PPI/PPF → CPI conversion (Node)
+// ============================================================
+
+import { createHash } from 'node:crypto';
+import { open, readFile, rm, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  parseN27, parsePPFRaw, parsePPI, buildPPI, streamEncryptedCPI, streamCPIFromPPI, retargetPPI, generateEUID, packItemFromFile,
+  validatePack, diffPacks, inspect, formatFileSize, jsCipher, seededRandom, buildManifest, manifestFileName,
+} from './converter.js';
+import { nodeCipher } from './node-cipher.js';
+import { ConverterError, setLanguage, LANGUAGES } from './messages.js';
+
+const EXIT_OK = 0;
+const EXIT_USAGE = 1;     // bad command line
+const EXIT_INVALID = 2;   // a parser or the encryptor rejected the input
+const EXIT_IO = 3;        // file could not be read or written
+const EXIT_DIFFERENT = 4; // diff --exit-code: the packs differ
+
+const USAGE = `Usage:
+  cpi-tool info <file.ppi|file.ppf|file.n27> [--strict]
+  cpi-tool inspect <file.ppi|file.ppf|file.cpi> [-o tree.json]
+  cpi-tool convert <pack.ppi|pack.ppf> [-o out.cpi] [--model NAME] [--pack-id N] [--new-uid] [--seed N] [--cipher js|node] [--no-manifest] [--strict] [--force]
+  cpi-tool lock <pack.ppi|pack.ppf> --n27 device.n27 [-o out.cpi] [--model NAME] [--pack-id N] [--new-uid] [--seed N] [--cipher js|node] [--no-manifest] [--strict] [--force]
+  cpi-tool create <file...> --title TITLE --model NAME [--pack-id N] [--icon CODE] [-o pack.ppi] [--force]
+  cpi-tool diff <old.ppi|old.ppf> <new.ppi|new.ppf> [--json] [--exit-code] [--strict]
+
+convert  builds a CPI with the standard (unlocked) CSEC.
+lock     builds a CPI locked to the instrument described by the .n27 file.
+create   wraps loose style/registration/voice files into a new PPI; every item
+         gets a fresh EUID and takes its title and extension from its file name.
+diff     compares two versions of a pack: model, install slot, pack EUID and
+         title, and the items, matched by EUID, as added, removed, renamed or
+         with new content (FBIN size and SHA-256). --json prints the full
+         comparison; --exit-code exits with 4 when the packs differ.
+
+The pack is validated first; validation errors stop the build unless --force.
+--strict parses chunks without resyncing over garbage, so corrupt or truncated
+files are reported instead of being read around.
+
+PPF projects carry no model or install slot: --model (or the .n27 model) and
+--pack-id (default 1) are used for them. For PPI files they override the
+model and slot in the PPI header. --new-uid gives the pack a fresh EUID, so a
+retargeted copy does not replace the original on the instrument.
+
+--seed N makes a build reproducible: the device lock's random data and any new
+EUID come from a generator seeded with N, so the same inputs give the same
+bytes. Use it for test fixtures, not for packs you ship to users.
+--cipher picks the DES implementation: the built-in JS engine (default) or
+Node's crypto.
+
+convert and lock also write a manifest next to the CPI (out.manifest.json):
+SHA-256 of the input and output, pack title/EUID, model, install slot, device
+and tool version. --no-manifest skips it.
+
+Messages are in English; --lang he switches them to Hebrew. Errors and
+validation issues end with their stable code, e.g. [E_NO_XPIH] or
+[MODEL_MISMATCH], for matching in scripts.`;
+
+class UsageError extends Error {}
+class IoError extends Error {}
+class ValidationError extends Error {}
+
+// ---- File helpers ----
+
+async function readInput(path) {
+  try {
+    return new Uint8Array(await readFile(path));
+  } catch (err) {
+    throw new IoError(`cannot read ${path}: ${err.message}`);
+  }
+}
+
+async function writeOutput(path, data) {
+  try {
+    await writeFile(path, data);
+  } catch (err) {
+    throw new IoError(`cannot write ${path}: ${err.message}`);
+  }
+}
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/** Write segments (e.g. from streamCPIFromPPI) to path one by one; returns { size, sha256 } of what was written */
+async function writeSegments(path, segments) {
+  let file;
+  try {
+    file = await open(path, 'w');
+  } catch (err) {
+    throw new IoError(`cannot write ${path}: ${err.message}`);
+  }
+
+  let size = 0;
+  const hash = createHash('sha256');
+  try {
+    for (const segment of segments) {
+      try {
+        await file.write(segment);
+      } catch (err) {
+        throw new IoError(`cannot write ${path}: ${err.message}`);
+      }
+      size += segment.length;
+      hash.update(segment);
+    }
+  } catch (err) {
+    await file.close();
+    await rm(path, { force: true });
+    throw err;
+  }
+  await file.close();
+  return { size, sha256: hash.digest('hex') };
+}
+
+function fileKind(buf, path) {
+  const tag = new TextDecoder('ascii').decode(buf.subarray(0, 4));
+  if (tag === 'XPIH') return 'ppi';
+  if (tag === 'XPFH') return 'ppf';
+  if (/\.n27$/i.test(path)) return 'n27';
+  if (/\.ppf$/i.test(path)) return 'ppf';
+  return 'ppi';
+}
+
+/** Parsed PPI or PPF, by content (see fileKind) */
+async function readPack(path, values) {
+  const buf = await readInput(path);
+  return fileKind(buf, path) === 'ppf' ? parsePPFRaw(buf, { strict: values.strict }) : parsePPI(buf, { strict: values.strict });
+}
+
+function parsePackId(value) {
+  if (value === undefined) return 1;
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 0 || id > 0xffffffff) throw new UsageError(`invalid --pack-id: ${value}`);
+  return id;
+}
+
+const CIPHERS = { js: jsCipher, node: nodeCipher };
+
+/** Build options from --seed and --cipher: { rng?, cipher } */
+function buildOptions(values) {
+  const cipher = CIPHERS[values.cipher ?? 'js'];
+  if (!cipher) throw new UsageError(`invalid --cipher: ${values.cipher} (js or node)`);
+  if (values.seed === undefined) return { cipher };
+  const seed = Number(values.seed);
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) throw new UsageError(`invalid --seed: ${values.seed}`);
+  return { rng: seededRandom(seed), cipher };
+}
+
+function printReport(report) {
+  for (const e of report.errors) console.error(`error:   ${e.message} [${e.code}]`);
+  for (const w of report.warnings) console.error(`warning: ${w.message} [${w.code}]`);
+}
+
+// ---- Commands ----
+
+async function cmdInfo(positionals, values) {
+  if (positionals.length !== 1) throw new UsageError('info takes exactly one file');
+  const [path] = positionals;
+  const buf = await readInput(path);
+  const kind = fileKind(buf, path);
+
+  if (kind === 'n27') {
+    const info = parseN27(buf);
+    console.log(`Device:      ${basename(path)}`);
+    console.log(`Model:       ${info.modelName}`);
+    console.log(`Serial:      ${info.serial}`);
+    console.log(`Device ID:   ${info.fullId}`);
+    console.log(`Family:      ${info.family ?? 'unknown'} (${formatFileSize(info.size)})`);
+    for (const { offset, value } of info.extra) console.log(`Extra @${offset}: ${value}`);
+    for (const w of info.warnings) console.error(`warning: ${w}`);
+  } else if (kind === 'ppf') {
+    const ppf = parsePPFRaw(buf, { strict: values.strict });
+    console.log(`PPF project: ${basename(path)} (${formatFileSize(buf.length)})`);
+    console.log(`Title:       ${ppf.title}`);
+    console.log(`EUID:        ${ppf.uid}`);
+    console.log(`Items:       ${ppf.blobs.length}`);
+    for (const blob of ppf.blobs) {
+      console.log(`  ${blob.title}.${blob.extension}  ${formatFileSize(blob.binaryData.length)}`);
+    }
+    printReport(validatePack({ ...ppf, modelName: null, packInstallId: 1 }, null));
+  } else {
+    const ppi = parsePPI(buf, { strict: values.strict });
+    console.log(`PPI pack:    ${basename(path)} (${formatFileSize(buf.length)})`);
+    console.log(`Title:       ${ppi.title}`);
+    console.log(`EUID:        ${ppi.uid}`);
+    console.log(`Model:       ${ppi.modelName}`);
+    console.log(`Install ID:  ${ppi.packInstallId}`);
+    console.log(`Items:       ${ppi.blobCount}${ppi.packType === 'wave' ? ' (Wave Pack)' : ''}`);
+    if (ppi.packType === 'wave') {
+      const paramBytes = ppi.voiceParams.reduce((sum, v) => sum + v.size, 0);
+      console.log(`Wave memory: ${formatFileSize(ppi.waveMemoryBytes)} in ${ppi.waves.length} waves`);
+      console.log(`Voice params: ${ppi.voiceParams.length} parameter set(s), ${formatFileSize(paramBytes)}`);
+    }
+    printReport(validatePack(ppi, null));
+  }
+}
+
+async function cmdInspect(positionals, values) {
+  if (positionals.length !== 1) throw new UsageError('inspect takes exactly one file');
+  const json = JSON.stringify(inspect(await readInput(positionals[0])), null, 2);
+  if (values.output) await writeOutput(values.output, json + '\n');
+  else console.log(json);
+}
+
+async function buildCPI(positionals, values, deviceInfo) {
+  if (positionals.length !== 1) throw new UsageError('expected exactly one pack file');
+  const [path] = positionals;
+  const buf = await readInput(path);
+  const fullId = deviceInfo ? deviceInfo.fullId : null;
+  const options = buildOptions(values);
+  const input = { fileName: basename(path), size: buf.length, sha256: sha256(buf) };
+
+  if (fileKind(buf, path) === 'ppf') {
+    const modelName = values.model ?? deviceInfo?.modelName;
+    if (!modelName) throw new UsageError('PPF input needs --model or --n27');
+    const packInstallId = parsePackId(values['pack-id']);
+    const packData = parsePPFRaw(buf, { strict: values.strict });
+    if (values['new-uid']) packData.uid = generateEUID(options.rng);
+    checkPack({ ...packData, modelName, packInstallId }, deviceInfo, values.force);
+    const pack = { title: packData.title, uid: packData.uid, modelName, packInstallId };
+    return { input, pack, segments: streamEncryptedCPI(packData, modelName, packInstallId, fullId, options) };
+  }
+
+  const ppiData = retargetPPI(parsePPI(buf, { strict: values.strict }), {
+    modelName: values.model,
+    packInstallId: values['pack-id'] === undefined ? undefined : parsePackId(values['pack-id']),
+    regenerateUid: values['new-uid'],
+    rng: options.rng,
+  });
+  checkPack(ppiData, deviceInfo, values.force);
+  return { input, pack: ppiData, segments: streamCPIFromPPI(ppiData, fullId, options) };
+}
+
+/** Write a built CPI and, unless --no-manifest, its manifest sidecar; returns { out, size, manifestPath } */
+async function writeCPI(built, values, deviceInfo) {
+  const out = values.output ?? `${built.pack.modelName}_PackInstallData.cpi`;
+  const { size, sha256: outputHash } = await writeSegments(out, built.segments);
+  if (!values['no-manifest']) {
+    const manifest = buildManifest({
+      input: built.input,
+      output: { fileName: basename(out), size, sha256: outputHash },
+      pack: built.pack,
+      device: deviceInfo,
+    });
+    const manifestPath = manifestFileName(out);
+    await writeOutput(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    return { out, size, manifestPath };
+  }
+  return { out, size, manifestPath: null };
+}
+
+function checkPack(packData, deviceInfo, force) {
+  const report = validatePack(packData, deviceInfo);
+  printReport(report);
+  if (!report.ok && !force) throw new ValidationError('validation failed (use --force to build anyway)');
+}
+
+async function cmdConvert(positionals, values) {
+  const { out, size, manifestPath } = await writeCPI(await buildCPI(positionals, values, null), values, null);
+  console.log(`Wrote ${out} (${formatFileSize(size)}) — standard CSEC`);
+  if (manifestPath) console.log(`Wrote ${manifestPath}`);
+}
+
+async function cmdLock(positionals, values) {
+  if (!values.n27) throw new UsageError('lock requires --n27 <device.n27>');
+  const deviceInfo = parseN27(await readInput(values.n27));
+  for (const w of deviceInfo.warnings) console.error(`warning: ${w}`);
+  const { out, size, manifestPath } = await writeCPI(await buildCPI(positionals, values, deviceInfo), values, deviceInfo);
+  console.log(`Wrote ${out} (${formatFileSize(size)}) — locked to ${deviceInfo.serial} (${deviceInfo.fullId})`);
+  if (manifestPath) console.log(`Wrote ${manifestPath}`);
+}
+
+async function cmdCreate(positionals, values) {
+  if (positionals.length === 0) throw new UsageError('create needs at least one content file');
+  if (!values.title) throw new UsageError('create requires --title');
+  if (!values.model) throw new UsageError('create requires --model');
+  const packInstallId = parsePackId(values['pack-id']);
+
+  const blobs = [];
+  for (const path of positionals) {
+    blobs.push(packItemFromFile(basename(path), await readInput(path), values.icon ?? null));
+  }
+  const packData = { uid: generateEUID(), title: values.title, blobs };
+  checkPack({ ...packData, modelName: values.model, packInstallId }, null, values.force);
+
+  const ppi = buildPPI(packData, values.model, packInstallId);
+  const out = values.output ?? `${values.title.replace(/[\\/:*?"<>|]/g, '_')}.ppi`;
+  await writeOutput(out, ppi);
+  console.log(`Wrote ${out} (${formatFileSize(ppi.length)}) — ${blobs.length} items, EUID ${packData.uid}`);
+}
+
+function formatDelta(bytes) {
+  return `${bytes < 0 ? '-' : '+'}${formatFileSize(Math.abs(bytes))}`;
+}
+
+async function cmdDiff(positionals, values) {
+  if (positionals.length !== 2) throw new UsageError('diff takes exactly two pack files');
+  const diff = diffPacks(await readPack(positionals[0], values), await readPack(positionals[1], values));
+
+  if (values.json) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else if (diff.identical) {
+    console.log(`No differences (${diff.unchanged} items)`);
+  } else {
+    const item = i => `${i.title}.${i.extension}  ${formatFileSize(i.size)}  ${i.uid}`;
+    for (const { field, before, after } of diff.header) console.log(`${field.padEnd(14)} ${JSON.stringify(before)} → ${JSON.stringify(after)}`);
+    for (const i of diff.added) console.log(`+ ${item(i)}`);
+    for (const i of diff.removed) console.log(`- ${item(i)}`);
+    for (const r of diff.renamed) console.log(`~ ${r.uid}  "${r.before}" → "${r.after}"`);
+    for (const c of diff.changed) {
+      const size = `${formatFileSize(c.sizeBefore)} → ${formatFileSize(c.sizeAfter)} (${formatDelta(c.sizeDelta)})`;
+      console.log(`* ${c.title}  ${c.uid}  ${size}  sha256 ${c.sha256Before.slice(0, 12)} → ${c.sha256After.slice(0, 12)}`);
+    }
+    console.log(`${diff.added.length} added, ${diff.removed.length} removed, ${diff.renamed.length} renamed, ${diff.changed.length} changed, ${diff.unchanged} unchanged`);
+  }
+  if (values['exit-code'] && !diff.identical) return EXIT_DIFFERENT;
+}
+
+const COMMANDS = { info: cmdInfo, inspect: cmdInspect, convert: cmdConvert, lock: cmdLock, create: cmdCreate, diff: cmdDiff };
+
+// ---- Entry point ----
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        n27: { type: 'string' },
+        model: { type: 'string' },
+        'pack-id': { type: 'string' },
+        'new-uid': { type: 'boolean' },
+        seed: { type: 'string' },
+        cipher: { type: 'string' },
+        'no-manifest': { type: 'boolean' },
+        title: { type: 'string' },
+        icon: { type: 'string' },
+        strict: { type: 'boolean' },
+        force: { type: 'boolean' },
+        json: { type: 'boolean' },
+        'exit-code': { type: 'boolean' },
+        lang: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    console.error(`cpi-tool: ${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  if (!LANGUAGES[values.lang ?? 'en']) {
+    console.error(`cpi-tool: invalid --lang: ${values.lang} (en or he)\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  setLanguage(values.lang ?? 'en');
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const run = COMMANDS[command];
+  if (!run) {
+    console.error(`cpi-tool: unknown command "${command}"\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    return (await run(rest, values)) ?? EXIT_OK;
+  } catch (err) {
+    console.error(`cpi-tool: ${err.message}${err instanceof ConverterError ? ` [${err.code}]` : ''}`);
+    if (err instanceof UsageError) return EXIT_USAGE;
+    if (err instanceof IoError) return EXIT_IO;
+    return EXIT_INVALID;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -1,7 +1,13 @@
 // ============================================================
-// Yamaha PPF → Encrypted CPI Converter (Browser)
+// Yamaha PPF → Encrypted CPI Converter (Browser + Node ES module)
 // ============================================================
 
+import { createZip, createZipParts, streamZipParts } from './zip.js';
+import { createSha256, sha256Hex } from './sha256.js';
+import { validatePack, PACK_INSTALL_ID_MAX } from './validate.js';
+import { getModelInfo, listModels } from './models.js';
+import { ConverterError, t } from './messages.js';
+
 const KNOWN_TAGS = new Set([
   'XPFH', 'XPIH', 'XMDL', 'XPID',
   'EUID', 'ETIT', 'BLOB', 'EEXT', 'EICO', 'FBIN',
@@ -13,10 +19,13 @@ const textDecoder = new TextDecoder('ascii');
 const utf8Decoder = new TextDecoder('utf-8');
 const textEncoder = new TextEncoder();
 
+// Browsers and Node 19+ expose Web Crypto globally; older Node only has it on the module.
+const webCrypto = globalThis.crypto ?? (await import('node:crypto')).webcrypto;
+
 // ---- Chunk Reader ----
 
 function readFourCC(buf, offset) {
-  return textDecoder.decode(buf.slice(offset, offset + 4));
+  return textDecoder.decode(buf.subarray(offset, offset + 4));
 }
 
 function readUint32BE(buf, offset) {
@@ -43,26 +52,71 @@ function skipToNextTag(buf, pos, end) {
   return pos;
 }
 
-function readChunks(buf, startOffset, endOffset) {
+/** Four printable characters starting with a letter or digit — a tag, even if not a known one */
+function isPlausibleFourCC(id) {
+  return /^[A-Za-z0-9][\x20-\x7e]{3}$/.test(id);
+}
+
+/**
+ * Read consecutive chunks from buf[startOffset..endOffset).
+ *
+ * Lenient mode (default) resyncs over garbage with skipToNextTag and clamps
+ * truncated chunks. Strict mode never scans: unknown but well-formed FourCCs
+ * are kept as opaque chunks ({ unknown: true }) and the first byte that is
+ * not a tag ends the read.
+ *
+ * options.strict: parse strictly (see above).
+ * options.diagnostics: array that receives one entry per problem:
+ *   { type: 'skipped', offset, length }      — lenient resync over garbage
+ *   { type: 'truncated', offset, id, expectedSize, actualSize }
+ *   { type: 'unknown', offset, id, size }    — strict only
+ *   { type: 'unparsed', offset, length }     — strict only, bytes after a bad tag
+ *   { type: 'trailing', offset, length }     — too few bytes left for a chunk header
+ * options.baseOffset: file offset of buf[0], so reported offsets are absolute.
+ */
+function readChunks(buf, startOffset, endOffset, options = {}) {
   const end = endOffset ?? buf.length;
+  const { diagnostics, baseOffset = 0, strict = false } = options;
+  const report = (d) => { if (diagnostics) diagnostics.push(d); };
   const chunks = [];
   let pos = startOffset;
   while (pos + 8 <= end) {
-    pos = skipToNextTag(buf, pos, end);
-    if (pos + 8 > end) break;
+    if (strict) {
+      if (!isPlausibleFourCC(readFourCC(buf, pos))) {
+        report({ type: 'unparsed', offset: baseOffset + pos, length: end - pos });
+        return chunks;
+      }
+    } else {
+      const scanFrom = pos;
+      pos = skipToNextTag(buf, pos, end);
+      if (pos > scanFrom) report({ type: 'skipped', offset: baseOffset + scanFrom, length: pos - scanFrom });
+      if (pos + 8 > end) break;
+    }
     const id = readFourCC(buf, pos);
-    if (!KNOWN_TAGS.has(id)) break;
+    const known = KNOWN_TAGS.has(id);
+    if (!known && !strict) break;
     const size = readUint32BE(buf, pos + 4);
     const dataStart = pos + 8;
     const dataEnd = Math.min(dataStart + size, end);
-    chunks.push({ id, size, data: buf.slice(dataStart, dataEnd), offset: pos });
+    const chunk = { id, size, data: buf.subarray(dataStart, dataEnd), offset: pos };
+    if (!known) {
+      chunk.unknown = true;
+      report({ type: 'unknown', offset: baseOffset + pos, id, size });
+    }
+    if (dataStart + size > end) {
+      chunk.truncated = true;
+      report({ type: 'truncated', offset: baseOffset + pos, id, expectedSize: size, actualSize: dataEnd - dataStart });
+    }
+    chunks.push(chunk);
     pos = dataEnd;
   }
+  if (pos < end) report({ type: 'trailing', offset: baseOffset + pos, length: end - pos });
   return chunks;
 }
 
-function readSubChunks(chunk) {
-  return readChunks(chunk.data, 0);
+function readSubChunks(chunk, options = {}) {
+  const baseOffset = (options.baseOffset ?? 0) + chunk.offset + 8;
+  return readChunks(chunk.data, 0, undefined, { ...options, baseOffset });
 }
 
 function chunkText(chunk) {
@@ -95,43 +149,327 @@ function buildTextChunk(id, text) {
   return buildChunk(id, textEncoder.encode(text + '\0'));
 }
 
+// ---- Chunk Tree ----
+
+// A ChunkTree is a lossless, editable view of a chunk file. Container chunks
+// hold child nodes; every other chunk keeps its raw data. Bytes after the last
+// chunk of a container (padding, a CPI's encrypted payload at the top level)
+// are kept as its `trailing` bytes, and a truncated chunk keeps its declared
+// size, so serialize() of an unedited tree returns the parsed bytes exactly.
+
+const CONTAINER_TAGS = new Set(['XPIH', 'PACK', 'BLOB', 'ABEI']);
+// Containers only when their data parses cleanly as chunks
+const MAYBE_CONTAINER_TAGS = new Set(['XPFH', 'VWDT', 'VPRM']);
+
+const EMPTY_BYTES = new Uint8Array(0);
+
+/** Leaf node: { id, data } */
+function leafNode(id, data) {
+  return { id, data };
+}
+
+function textNode(id, text) {
+  return leafNode(id, textEncoder.encode(text + '\0'));
+}
+
+/** Container node: { id, children, trailing } */
+function containerNode(id, children = [], trailing = EMPTY_BYTES) {
+  return { id, children, trailing };
+}
+
+function parseChunkNodes(data) {
+  const diagnostics = [];
+  const chunks = readChunks(data, 0, undefined, { strict: true, diagnostics });
+  const last = chunks.at(-1);
+  const end = last ? last.offset + 8 + last.data.length : 0;
+  return { children: chunks.map(chunkToNode), trailing: data.subarray(end), diagnostics };
+}
+
+function chunkToNode(chunk) {
+  let node = leafNode(chunk.id, chunk.data);
+  if (CONTAINER_TAGS.has(chunk.id)) {
+    const { children, trailing } = parseChunkNodes(chunk.data);
+    node = containerNode(chunk.id, children, trailing);
+  } else if (MAYBE_CONTAINER_TAGS.has(chunk.id)) {
+    const { children, diagnostics } = parseChunkNodes(chunk.data);
+    if (children.length > 0 && diagnostics.every(d => d.type === 'unknown')) node = containerNode(chunk.id, children);
+  }
+  if (chunk.truncated) node.declaredSize = chunk.size;
+  return node;
+}
+
+function contentLength(node) {
+  if (!node.children) return node.data.length;
+  return node.children.reduce((sum, child) => sum + 8 + contentLength(child), node.trailing.length);
+}
+
+function writeNodes(buf, pos, nodes) {
+  for (const node of nodes) {
+    const length = contentLength(node);
+    buf.set(textEncoder.encode(node.id).slice(0, 4), pos);
+    writeUint32BE(buf, pos + 4, node.declaredSize ?? length);
+    pos += 8;
+    if (node.children) {
+      pos = writeNodes(buf, pos, node.children);
+      buf.set(node.trailing, pos);
+      pos += node.trailing.length;
+    } else {
+      buf.set(node.data, pos);
+      pos += length;
+    }
+  }
+  return pos;
+}
+
+/**
+ * Parse with ChunkTree.parse(buf); nodes are plain objects (see leafNode,
+ * textNode, containerNode). Edit with find/replace/insert/remove or by
+ * changing nodes directly, then serialize(). A node's declaredSize (set on
+ * truncated chunks only) is written as-is — delete it after editing the node.
+ */
+class ChunkTree {
+  constructor(children = [], trailing = EMPTY_BYTES) {
+    this.children = children;
+    this.trailing = trailing;
+  }
+
+  /** Lossless tree of buf; data and trailing bytes are views into buf, not copies */
+  static parse(buf) {
+    const { children, trailing } = parseChunkNodes(buf);
+    return new ChunkTree(children, trailing);
+  }
+
+  get byteLength() {
+    return contentLength(this);
+  }
+
+  serialize() {
+    const buf = new Uint8Array(this.byteLength);
+    const pos = writeNodes(buf, 0, this.children);
+    buf.set(this.trailing, pos);
+    return buf;
+  }
+
+  /** Every node under from (default: the whole tree) matching predicate(node, parent), depth first */
+  findAll(predicate, from = this) {
+    const found = [];
+    const walk = (parent) => {
+      for (const node of parent.children) {
+        if (predicate(node, parent)) found.push(node);
+        if (node.children) walk(node);
+      }
+    };
+    walk(from);
+    return found;
+  }
+
+  /** First node along a tag path such as 'PACK/BLOB/FBIN', starting at from; null if none */
+  find(path, from = this) {
+    const [id, ...rest] = path.split('/');
+    for (const node of from.children ?? []) {
+      if (node.id !== id) continue;
+      if (rest.length === 0) return node;
+      const found = this.find(rest.join('/'), node);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /** { parent, index } of node — parent is a container node or the tree itself */
+  locate(node) {
+    const search = (parent) => {
+      const index = parent.children.indexOf(node);
+      if (index >= 0) return { parent, index };
+      for (const child of parent.children) {
+        const found = child.children && search(child);
+        if (found) return found;
+      }
+      return null;
+    };
+    const location = search(this);
+    if (!location) throw new ConverterError('E_CHUNK_NOT_IN_TREE', { id: node.id });
+    return location;
+  }
+
+  replace(node, replacement) {
+    const { parent, index } = this.locate(node);
+    parent.children[index] = replacement;
+    return node;
+  }
+
+  /** Insert node into parent (a container node or the tree) at index, default last */
+  insert(parent, node, index = parent.children.length) {
+    if (parent !== this) this.locate(parent);
+    parent.children.splice(index, 0, node);
+    return node;
+  }
+
+  remove(node) {
+    const { parent, index } = this.locate(node);
+    parent.children.splice(index, 1);
+    return node;
+  }
+}
+
 // ---- Parsers ----
 
+// N27 device info: NUL-padded ASCII fields at fixed offsets. Every model seen
+// so far writes this one 120-byte layout; anything past it is reported as extra.
+const N27_FIELDS = {
+  modelName: { offset: 0, length: 64 },
+  serial: { offset: 64, length: 24 },
+  fullId: { offset: 88, length: 32 },
+};
+const N27_SIZE = 120;
+
+// Model families by model-name prefix, for display only; PSR-SX is listed before PSR-S so it matches first
+const N27_FAMILIES = [
+  { family: 'Genos', pattern: /^Genos/i },
+  { family: 'Tyros', pattern: /^Tyros/i },
+  { family: 'PSR-SX', pattern: /^PSR-SX/i },
+  { family: 'PSR-S', pattern: /^PSR-S\d/i },
+];
+
+// Device info is a few hundred bytes at most; anything bigger is some other file
+const N27_MAX_SIZE = 4096;
+
+// Printable ASCII runs at least this long past the known fields are reported as extra fields
+const N27_EXTRA_MIN_LENGTH = 4;
+
+/** parseN27 failure; code is one of E_N27_TOO_SHORT, E_N27_TOO_LARGE, E_N27_NOT_DEVICE_INFO, E_N27_BAD_FIELD */
+class N27Error extends ConverterError {
+  constructor(code, params = {}) {
+    super(code, params);
+    this.name = 'N27Error';
+  }
+}
+
+function n27Family(modelName) {
+  return N27_FAMILIES.find(f => f.pattern.test(modelName))?.family ?? null;
+}
+
+/** Bytes of a NUL-padded field up to its first NUL, and whether the padding after it is clean */
+function readN27Field(buf, { offset, length }) {
+  const field = buf.subarray(offset, offset + length);
+  let end = field.indexOf(0);
+  if (end < 0) end = field.length;
+  return { bytes: field.subarray(0, end), cleanPadding: field.subarray(end).every(b => b === 0) };
+}
+
+/** Printable ASCII runs (NUL- or garbage-delimited) from offset to the end of buf */
+function n27ExtraFields(buf, offset) {
+  const extra = [];
+  let start = offset;
+  for (let pos = offset; pos <= buf.length; pos++) {
+    const printable = pos < buf.length && buf[pos] >= 0x20 && buf[pos] <= 0x7E;
+    if (printable) continue;
+    if (pos - start >= N27_EXTRA_MIN_LENGTH) {
+      extra.push({ offset: start, value: textDecoder.decode(buf.subarray(start, pos)) });
+    }
+    start = pos + 1;
+  }
+  return extra;
+}
+
+/**
+ * Parse an N27 device-info file.
+ * Checks the size, that it is not a pack file, and that every field is clean
+ * printable ASCII that validateDeviceInfo accepts; throws N27Error otherwise.
+ * Returns { modelName, serial, fullId, family, size, extra, warnings } —
+ * family is null for models outside N27_FAMILIES; extra lists text found past
+ * the known fields as [{ offset, value }]; warnings are strings in the active language.
+ */
 function parseN27(buf) {
-  function readStr(offset, maxLen) {
-    let end = offset;
-    while (end < offset + maxLen && buf[end] !== 0) end++;
-    return textDecoder.decode(buf.slice(offset, end));
+  if (buf.length > N27_MAX_SIZE) {
+    throw new N27Error('E_N27_TOO_LARGE', { size: buf.length });
+  }
+  const tag = buf.length >= 4 ? readFourCC(buf, 0) : '';
+  if (KNOWN_TAGS.has(tag)) {
+    throw new N27Error('E_N27_NOT_DEVICE_INFO', { tag });
+  }
+
+  if (buf.length < N27_SIZE) {
+    throw new N27Error('E_N27_TOO_SHORT', { size: buf.length, required: N27_SIZE });
+  }
+
+  const info = {};
+  const warnings = [];
+  for (const [field, spec] of Object.entries(N27_FIELDS)) {
+    const { bytes, cleanPadding } = readN27Field(buf, spec);
+    if (!bytes.every(b => b >= 0x20 && b <= 0x7E)) {
+      throw new N27Error('E_N27_NOT_DEVICE_INFO', { field });
+    }
+    if (!cleanPadding) warnings.push(t('N27_FIELD_PADDING', { field }));
+    info[field] = textDecoder.decode(bytes);
+  }
+
+  const errors = validateDeviceInfo(info);
+  if (errors.length > 0) {
+    throw new N27Error('E_N27_BAD_FIELD', { field: errors[0].field, errors });
   }
+
   return {
-    modelName: readStr(0, 64),
-    serial: readStr(64, 24),
-    fullId: readStr(88, 32),
+    ...info,
+    family: n27Family(info.modelName),
+    size: buf.length,
+    extra: n27ExtraFields(buf, N27_SIZE),
+    warnings,
   };
 }
 
-function parsePPFRaw(buf) {
-  const chunks = readChunks(buf, 8);
+/**
+ * Check device fields typed in by hand (or imported) against what an N27 file can hold:
+ * each field is required, printable ASCII and fits its N27 field; serial and ID have no spaces.
+ * Returns [{ code, field, message, ... }] (code FIELD_MISSING, FIELD_CHARSET or FIELD_TOO_LONG), empty when valid.
+ */
+function validateDeviceInfo(info) {
+  const errors = [];
+  const issue = (code, params) => errors.push({ code, message: t(code, params), ...params });
+  for (const [field, { length }] of Object.entries(N27_FIELDS)) {
+    const value = info[field] ?? '';
+    const charset = field === 'modelName' ? /^[\x20-\x7E]*$/ : /^[\x21-\x7E]*$/;
+    if (!value.trim()) {
+      issue('FIELD_MISSING', { field });
+    } else if (!charset.test(value)) {
+      issue('FIELD_CHARSET', { field, value });
+    } else if (value.length > length) {
+      issue('FIELD_TOO_LONG', { field, length });
+    }
+  }
+  return errors;
+}
+
+/** Decode a BLOB chunk into { uid, title, extension, iconCode, binaryData } */
+function parseBlob(chunk, options = {}) {
+  const sub = readSubChunks(chunk, options);
+  const entry = { uid: '', title: '', extension: '', iconCode: null, binaryData: new Uint8Array(0) };
+  for (const s of sub) {
+    if (s.id === 'EUID') entry.uid = chunkText(s);
+    else if (s.id === 'ETIT') entry.title = chunkText(s);
+    else if (s.id === 'EEXT') entry.extension = chunkText(s);
+    else if (s.id === 'EICO') entry.iconCode = chunkText(s);
+    else if (s.id === 'FBIN') entry.binaryData = s.data;
+  }
+  return entry;
+}
+
+/**
+ * Parse a PPF project: 8-byte header, then EUID, ETIT and BLOBs.
+ * options.strict: see readChunks. Returns { uid, title, blobs, diagnostics }
+ */
+function parsePPFRaw(buf, options = {}) {
+  const diagnostics = [];
+  const chunkOptions = { diagnostics, strict: options.strict };
+  const chunks = readChunks(buf, 8, undefined, chunkOptions);
   let uid = '';
   let title = '';
   const blobs = [];
   for (const chunk of chunks) {
     if (chunk.id === 'EUID' && !uid) uid = chunkText(chunk);
     else if (chunk.id === 'ETIT' && !title) title = chunkText(chunk);
-    else if (chunk.id === 'BLOB') {
-      const sub = readSubChunks(chunk);
-      const entry = { uid: '', title: '', extension: '', iconCode: null, binaryData: new Uint8Array(0) };
-      for (const s of sub) {
-        if (s.id === 'EUID') entry.uid = chunkText(s);
-        else if (s.id === 'ETIT') entry.title = chunkText(s);
-        else if (s.id === 'EEXT') entry.extension = chunkText(s);
-        else if (s.id === 'EICO') entry.iconCode = chunkText(s);
-        else if (s.id === 'FBIN') entry.binaryData = s.data;
-      }
-      blobs.push(entry);
-    }
+    else if (chunk.id === 'BLOB') blobs.push(parseBlob(chunk, chunkOptions));
   }
-  return { uid, title, blobs };
+  return { uid, title, blobs, diagnostics };
 }
 
 // ============================================================
@@ -142,7 +480,8 @@ function parsePPFRaw(buf) {
 // Pre-computed SP-boxes: combined S-box substitution + P-permutation.
 // Each SP[i] has 64 entries. Input: 6-bit value, Output: 32-bit integer
 // with the 4 S-box output bits placed at their post-P-permutation positions.
-const SP1 = new Uint32Array([
+// Int32Array, not Uint32Array: entries above 2^31 would otherwise load as doubles.
+const SP1 = new Int32Array([
   0x00808200,0x00000000,0x00008000,0x00808202,0x00808002,0x00008202,0x00000002,0x00008000,
   0x00000200,0x00808200,0x00808202,0x00000200,0x00800202,0x00808002,0x00800000,0x00000002,
   0x00000202,0x00800200,0x00800200,0x00008200,0x00008200,0x00808000,0x00808000,0x00800202,
@@ -152,7 +491,7 @@ const SP1 = new Uint32Array([
   0x00808202,0x00008002,0x00808000,0x00800202,0x00800002,0x00000202,0x00008202,0x00808200,
   0x00000202,0x00800200,0x00800200,0x00000000,0x00008002,0x00008200,0x00000000,0x00808002,
 ]);
-const SP2 = new Uint32Array([
+const SP2 = new Int32Array([
   0x40084010,0x40004000,0x00004000,0x00084010,0x00080000,0x00000010,0x40080010,0x40004010,
   0x40000010,0x40084010,0x40084000,0x40000000,0x40004000,0x00080000,0x00000010,0x40080010,
   0x00084000,0x00080010,0x40004010,0x00000000,0x40000000,0x00004000,0x00084010,0x40080000,
@@ -162,7 +501,7 @@ const SP2 = new Uint32Array([
   0x00004010,0x40084000,0x00080000,0x40000010,0x00080010,0x40004010,0x40000010,0x00080010,
   0x00084000,0x00000000,0x40004000,0x00004010,0x40000000,0x40080010,0x40084010,0x00084000,
 ]);
-const SP3 = new Uint32Array([
+const SP3 = new Int32Array([
   0x00000104,0x04010100,0x00000000,0x04010004,0x04000100,0x00000000,0x00010104,0x04000100,
   0x00010004,0x04000004,0x04000004,0x00010000,0x04010104,0x00010004,0x04010000,0x00000104,
   0x04000000,0x00000004,0x04010100,0x00000100,0x00010100,0x04010000,0x04010004,0x00010104,
@@ -172,7 +511,7 @@ const SP3 = new Uint32Array([
   0x04000104,0x00010000,0x04000000,0x04010104,0x00000004,0x00010104,0x00010100,0x04000004,
   0x04010000,0x04000104,0x00000104,0x04010000,0x00010104,0x00000004,0x04010004,0x00010100,
 ]);
-const SP4 = new Uint32Array([
+const SP4 = new Int32Array([
   0x80401000,0x80001040,0x80001040,0x00000040,0x00401040,0x80400040,0x80400000,0x80001000,
   0x00000000,0x00401000,0x00401000,0x80401040,0x80000040,0x00000000,0x00400040,0x80400000,
   0x80000000,0x00001000,0x00400000,0x80401000,0x00000040,0x00400000,0x80001000,0x00001040,
@@ -182,7 +521,7 @@ const SP4 = new Uint32Array([
   0x80401040,0x80000040,0x80000000,0x00001000,0x80400000,0x80001000,0x00401040,0x80400040,
   0x80001000,0x00001040,0x00400000,0x80401000,0x00000040,0x00400000,0x00001000,0x00401040,
 ]);
-const SP5 = new Uint32Array([
+const SP5 = new Int32Array([
   0x00000080,0x01040080,0x01040000,0x21000080,0x00040000,0x00000080,0x20000000,0x01040000,
   0x20040080,0x00040000,0x01000080,0x20040080,0x21000080,0x21040000,0x00040080,0x20000000,
   0x01000000,0x20040000,0x20040000,0x00000000,0x20000080,0x21040080,0x21040080,0x01000080,
@@ -192,7 +531,7 @@ const SP5 = new Uint32Array([
   0x21040080,0x00040080,0x21000000,0x21040080,0x01040000,0x00000000,0x20040000,0x21000000,
   0x00040080,0x01000080,0x20000080,0x00040000,0x00000000,0x20040000,0x01040080,0x20000080,
 ]);
-const SP6 = new Uint32Array([
+const SP6 = new Int32Array([
   0x10000008,0x10200000,0x00002000,0x10202008,0x10200000,0x00000008,0x10202008,0x00200000,
   0x10002000,0x00202008,0x00200000,0x10000008,0x00200008,0x10002000,0x10000000,0x00002008,
   0x00000000,0x00200008,0x10002008,0x00002000,0x00202000,0x10002008,0x00000008,0x10200008,
@@ -202,7 +541,7 @@ const SP6 = new Uint32Array([
   0x00202008,0x10202000,0x00000000,0x10200008,0x00000008,0x00002000,0x10200000,0x00202008,
   0x00002000,0x00200008,0x10002008,0x00000000,0x10202000,0x10000000,0x00200008,0x10002008,
 ]);
-const SP7 = new Uint32Array([
+const SP7 = new Int32Array([
   0x00100000,0x02100001,0x02000401,0x00000000,0x00000400,0x02000401,0x00100401,0x02100400,
   0x02100401,0x00100000,0x00000000,0x02000001,0x00000001,0x02000000,0x02100001,0x00000401,
   0x02000400,0x00100401,0x00100001,0x02000400,0x02000001,0x02100000,0x02100400,0x00100001,
@@ -212,7 +551,7 @@ const SP7 = new Uint32Array([
   0x00000401,0x02000001,0x02100401,0x02100000,0x00100400,0x00000000,0x00000001,0x02100401,
   0x00000000,0x00100401,0x02100000,0x00000400,0x02000001,0x02000400,0x00000400,0x00100001,
 ]);
-const SP8 = new Uint32Array([
+const SP8 = new Int32Array([
   0x08000820,0x00000800,0x00020000,0x08020820,0x08000000,0x08000820,0x00000020,0x08000000,
   0x00020020,0x08020000,0x08020820,0x00020800,0x08020800,0x00020820,0x00000800,0x00000020,
   0x08020000,0x08000020,0x08000800,0x00000820,0x00020800,0x00020020,0x08020020,0x08020800,
@@ -225,178 +564,134 @@ const SP8 = new Uint32Array([
 
 const ROTATIONS = [1,1,2,2,2,2,2,2,1,2,2,2,2,2,2,1];
 
-// --- DES Core (32-bit integer based) ---
-
-/** Convert 8-byte block to two 32-bit integers [hi, lo] */
-function bytesToLR(buf, off) {
-  const L = ((buf[off]<<24)|(buf[off+1]<<16)|(buf[off+2]<<8)|buf[off+3]) >>> 0;
-  const R = ((buf[off+4]<<24)|(buf[off+5]<<16)|(buf[off+6]<<8)|buf[off+7]) >>> 0;
-  return [L, R];
-}
+// --- DES Core (32-bit integer based, allocation-free) ---
 
-/** Convert two 32-bit integers to 8 bytes in buffer */
-function lrToBytes(L, R, buf, off) {
-  buf[off]=(L>>>24)&0xff; buf[off+1]=(L>>>16)&0xff; buf[off+2]=(L>>>8)&0xff; buf[off+3]=L&0xff;
-  buf[off+4]=(R>>>24)&0xff; buf[off+5]=(R>>>16)&0xff; buf[off+6]=(R>>>8)&0xff; buf[off+7]=R&0xff;
-}
+// PC-1 halves: C0 = key bits 57,49,...,36 and D0 = bits 63,55,...,4 (1-based, MSB first)
+const PC1_C = [57,49,41,33,25,17,9,1,58,50,42,34,26,18,10,2,59,51,43,35,27,19,11,3,60,52,44,36];
+const PC1_D = [63,55,47,39,31,23,15,7,62,54,46,38,30,22,14,6,61,53,45,37,29,21,13,5,28,20,12,4];
 
-/** Initial Permutation using delta-swap decomposition */
-function initialPerm(L, R) {
-  // IP can be decomposed into a sequence of delta-swaps
-  let t;
-  t = ((L >>> 4) ^ R) & 0x0F0F0F0F; R ^= t; L ^= (t << 4);
-  t = ((L >>> 16) ^ R) & 0x0000FFFF; R ^= t; L ^= (t << 16);
-  t = ((R >>> 2) ^ L) & 0x33333333; L ^= t; R ^= (t << 2);
-  t = ((R >>> 8) ^ L) & 0x00FF00FF; L ^= t; R ^= (t << 8);
-  t = ((L >>> 1) ^ R) & 0x55555555; R ^= t; L ^= (t << 1);
-  return [L >>> 0, R >>> 0];
-}
+// PC-2 table (1-based within the 56-bit CD, selecting 48 bits)
+const PC2 = [
+  14,17,11,24, 1, 5, 3,28,15, 6,21,10,
+  23,19,12, 4,26, 8,16, 7,27,20,13, 2,
+  41,52,31,37,47,55,30,40,51,45,33,48,
+  44,49,39,56,34,53,46,42,50,36,29,32,
+];
 
-/** Final Permutation (inverse of IP) using delta-swap decomposition */
-function finalPerm(L, R) {
-  let t;
-  t = ((L >>> 1) ^ R) & 0x55555555; R ^= t; L ^= (t << 1);
-  t = ((R >>> 8) ^ L) & 0x00FF00FF; L ^= t; R ^= (t << 8);
-  t = ((R >>> 2) ^ L) & 0x33333333; L ^= t; R ^= (t << 2);
-  t = ((L >>> 16) ^ R) & 0x0000FFFF; R ^= t; L ^= (t << 16);
-  t = ((L >>> 4) ^ R) & 0x0F0F0F0F; R ^= t; L ^= (t << 4);
-  return [L >>> 0, R >>> 0];
+/** Bit (1-based) of the 56-bit CD register: bits 1-28 from C, bits 29-56 from D */
+function getBitCD(C, D, bit1based) {
+  return bit1based <= 28 ? (C >>> (28 - bit1based)) & 1 : (D >>> (56 - bit1based)) & 1;
 }
 
-/** Generate 16 subkeys from 8-byte key. Each subkey is [hi28, lo28] packed as [k0, k1]. */
+/**
+ * Generate the 16 round keys from an 8-byte key.
+ * The 48-bit round key is eight 6-bit groups k0..k7, one per S-box. They are
+ * stored pre-aligned for desCore as two words per round in a Uint32Array(32):
+ *   [2i]   = k0 k2 k4 k6 in bits 29-24, 21-16, 13-8, 5-0
+ *   [2i+1] = k7 k1 k3 k5 in the same positions
+ */
 function generateSubKeys(keyBytes) {
-  // PC-1: extract 56 bits from 64-bit key
-  // Split into C (bits 57,49,...,36) and D (bits 63,55,...,4)
-  // Implemented via bit extraction from key bytes
-  const k = keyBytes;
-
-  // Extract 28-bit C and D halves after PC-1
-  // PC-1 left half (C0): bits 57,49,41,33,25,17,9,1,58,50,42,34,26,18,10,2,59,51,43,35,27,19,11,3,60,52,44,36
-  // PC-1 right half (D0): bits 63,55,47,39,31,23,15,7,62,54,46,38,30,22,14,6,61,53,45,37,29,21,13,5,28,20,12,4
-  // We extract these using a general bit-extraction approach
-  function getBit64(bit1based) {
-    const byteIdx = (bit1based - 1) >>> 3;
-    const bitIdx = 7 - ((bit1based - 1) & 7);
-    return (k[byteIdx] >>> bitIdx) & 1;
-  }
-
-  const PC1_C = [57,49,41,33,25,17,9,1,58,50,42,34,26,18,10,2,59,51,43,35,27,19,11,3,60,52,44,36];
-  const PC1_D = [63,55,47,39,31,23,15,7,62,54,46,38,30,22,14,6,61,53,45,37,29,21,13,5,28,20,12,4];
+  const getBit64 = (bit1based) => (keyBytes[(bit1based - 1) >>> 3] >>> (7 - ((bit1based - 1) & 7))) & 1;
 
   let C = 0, D = 0;
   for (let i = 0; i < 28; i++) {
-    C = (C | (getBit64(PC1_C[i]) << (27 - i))) >>> 0;
-    D = (D | (getBit64(PC1_D[i]) << (27 - i))) >>> 0;
+    C |= getBit64(PC1_C[i]) << (27 - i);
+    D |= getBit64(PC1_D[i]) << (27 - i);
   }
 
-  // PC-2 table (1-based within the 56-bit CD, selecting 48 bits)
-  const PC2 = [
-    14,17,11,24, 1, 5, 3,28,15, 6,21,10,
-    23,19,12, 4,26, 8,16, 7,27,20,13, 2,
-    41,52,31,37,47,55,30,40,51,45,33,48,
-    44,49,39,56,34,53,46,42,50,36,29,32,
-  ];
-
-  const subKeys = [];
+  const subKeys = new Uint32Array(32);
+  const k = new Array(8);
   for (let round = 0; round < 16; round++) {
-    // Left rotate C and D by ROTATIONS[round]
     const r = ROTATIONS[round];
     C = ((C << r) | (C >>> (28 - r))) & 0x0FFFFFFF;
     D = ((D << r) | (D >>> (28 - r))) & 0x0FFFFFFF;
 
-    // Combine C and D into 56-bit value and apply PC-2
-    // CD bit i (1-based): bits 1-28 from C, bits 29-56 from D
-    function getBitCD(bit1based) {
-      if (bit1based <= 28) {
-        return (C >>> (28 - bit1based)) & 1;
-      } else {
-        return (D >>> (56 - bit1based)) & 1;
-      }
+    for (let g = 0; g < 8; g++) {
+      k[g] = 0;
+      for (let b = 0; b < 6; b++) k[g] = (k[g] << 1) | getBitCD(C, D, PC2[g * 6 + b]);
     }
-
-    // Extract 48-bit subkey as two 24-bit halves packed into [hi, lo]
-    let kHi = 0, kLo = 0;
-    for (let i = 0; i < 24; i++) {
-      kHi = (kHi | (getBitCD(PC2[i]) << (23 - i))) >>> 0;
-    }
-    for (let i = 0; i < 24; i++) {
-      kLo = (kLo | (getBitCD(PC2[24 + i]) << (23 - i))) >>> 0;
-    }
-    subKeys.push([kHi, kLo]);
+    subKeys[2 * round] = (k[0] << 24) | (k[2] << 16) | (k[4] << 8) | k[6];
+    subKeys[2 * round + 1] = (k[7] << 24) | (k[1] << 16) | (k[3] << 8) | k[5];
   }
   return subKeys;
 }
 
-/** DES F function: takes 32-bit R and subkey [kHi24, kLo24], returns 32-bit result */
-function desF(R, K) {
-  // Expansion E is done implicitly by extracting 6-bit groups from R
-  // R bits are numbered 1-32 (MSB=1). E expands to 48 bits.
-  // We extract the 8 six-bit groups and XOR with key.
-  //
-  // E expansion pattern (each group uses specific bits of R):
-  // Group 0: bits 32, 1, 2, 3, 4, 5
-  // Group 1: bits  4, 5, 6, 7, 8, 9
-  // Group 2: bits  8, 9,10,11,12,13
-  // Group 3: bits 12,13,14,15,16,17
-  // Group 4: bits 16,17,18,19,20,21
-  // Group 5: bits 20,21,22,23,24,25
-  // Group 6: bits 24,25,26,27,28,29
-  // Group 7: bits 28,29,30,31,32, 1
-
-  // Extract 6-bit groups from R (R is 32-bit, bit 1 = bit 31 in integer)
-  const e0 = ((R << 1) & 0x3E) | ((R >>> 31) & 1);  // bits 32,1,2,3,4,5
-  const e1 = (R >>> 27) & 0x3F;                       // bits 4,5,6,7,8,9... wait, need to be more careful
-
-  // Actually, let me use a cleaner approach. R as 32-bit integer:
-  // bit 1 (MSB) is at position 31, bit 32 (LSB) is at position 0
-  // E group i takes specific bits. Let's compute each:
-
-  const r = R; // alias
-  // For each 6-bit group, we need: outer_bits give row, inner 4 bits give column
-  // But for SP-box lookup, we just need the 6-bit value (row/col extraction is pre-baked into SP tables)
-
-  // Expand R to 48 bits as 8 groups of 6 bits
-  // E-bit positions (1-based in 32-bit R):
-  // G0: 32, 1, 2, 3, 4, 5 → r bits at positions 0,31,30,29,28,27
-  // G1:  4, 5, 6, 7, 8, 9 → r bits at positions 28,27,26,25,24,23
-  // G2:  8, 9,10,11,12,13 → r bits at positions 24,23,22,21,20,19
-  // G3: 12,13,14,15,16,17 → r bits at positions 20,19,18,17,16,15
-  // G4: 16,17,18,19,20,21 → r bits at positions 16,15,14,13,12,11
-  // G5: 20,21,22,23,24,25 → r bits at positions 12,11,10, 9, 8, 7
-  // G6: 24,25,26,27,28,29 → r bits at positions  8, 7, 6, 5, 4, 3
-  // G7: 28,29,30,31,32, 1 → r bits at positions  4, 3, 2, 1, 0,31
-
-  const g0 = (((r & 1) << 5) | ((r >>> 27) & 0x1F)) ^ (K[0] >>> 18);
-  const g1 = ((r >>> 23) & 0x3F) ^ ((K[0] >>> 12) & 0x3F);
-  const g2 = ((r >>> 19) & 0x3F) ^ ((K[0] >>> 6) & 0x3F);
-  const g3 = ((r >>> 15) & 0x3F) ^ (K[0] & 0x3F);
-  const g4 = ((r >>> 11) & 0x3F) ^ (K[1] >>> 18);
-  const g5 = ((r >>> 7) & 0x3F) ^ ((K[1] >>> 12) & 0x3F);
-  const g6 = ((r >>> 3) & 0x3F) ^ ((K[1] >>> 6) & 0x3F);
-  const g7 = ((((r & 0x1F) << 1) | ((r >>> 31) & 1)) ^ (K[1] & 0x3F)) & 0x3F;
-
-  // SP-box lookups (combined S-box + P-permutation)
-  return (SP1[g0] ^ SP2[g1] ^ SP3[g2] ^ SP4[g3] ^ SP5[g4] ^ SP6[g5] ^ SP7[g6] ^ SP8[g7]) >>> 0;
-}
-
-/** Encrypt a single 8-byte block with DES ECB */
-function desBlock(block, subKeys) {
-  let [L, R] = bytesToLR(block, 0);
-  [L, R] = initialPerm(L, R);
-
-  for (let i = 0; i < 16; i++) {
-    const f = desF(R, subKeys[i]);
-    const newR = (L ^ f) >>> 0;
+/** The same round keys in reverse order, for decryption */
+function reverseSubKeys(subKeys) {
+  const reversed = new Uint32Array(32);
+  for (let round = 0; round < 16; round++) {
+    reversed[2 * round] = subKeys[30 - 2 * round];
+    reversed[2 * round + 1] = subKeys[31 - 2 * round];
+  }
+  return reversed;
+}
+
+// Working block [L, R] as signed 32-bit words; desCore transforms it in place,
+// so no per-block arrays are allocated.
+const desState = new Int32Array(2);
+
+/**
+ * Run DES over desState with the given schedule (reverseSubKeys for decryption).
+ *
+ * IP and FP are delta-swap sequences. The F function's E expansion groups
+ * (bits 32,1-5 | 4-9 | 8-13 | ... | 28-32,1 of R) become byte-aligned when R is
+ * rotated right by 3 (groups 0, 2, 4, 6) and by 7 (groups 7, 1, 3, 5), matching
+ * the round-key layout of generateSubKeys. Each 6-bit group indexes a combined
+ * S+P box.
+ */
+function desCore(subKeys) {
+  let L = desState[0];
+  let R = desState[1];
+  let t;
+
+  // Initial permutation
+  t = ((L >>> 4) ^ R) & 0x0F0F0F0F; R ^= t; L ^= (t << 4);
+  t = ((L >>> 16) ^ R) & 0x0000FFFF; R ^= t; L ^= (t << 16);
+  t = ((R >>> 2) ^ L) & 0x33333333; L ^= t; R ^= (t << 2);
+  t = ((R >>> 8) ^ L) & 0x00FF00FF; L ^= t; R ^= (t << 8);
+  t = ((L >>> 1) ^ R) & 0x55555555; R ^= t; L ^= (t << 1);
+
+  for (let k = 0; k < 32; k += 2) {
+    const a = ((R >>> 3) | (R << 29)) ^ subKeys[k];
+    const b = ((R >>> 7) | (R << 25)) ^ subKeys[k + 1];
+    t = L
+      ^ SP1[(a >>> 24) & 0x3F] ^ SP3[(a >>> 16) & 0x3F] ^ SP5[(a >>> 8) & 0x3F] ^ SP7[a & 0x3F]
+      ^ SP8[(b >>> 24) & 0x3F] ^ SP2[(b >>> 16) & 0x3F] ^ SP4[(b >>> 8) & 0x3F] ^ SP6[b & 0x3F];
     L = R;
-    R = newR;
+    R = t;
   }
 
-  // Swap and apply final permutation
-  [L, R] = finalPerm(R, L);
+  // Undo the last swap, then the final permutation (inverse of IP)
+  t = R; R = L; L = t;
+  t = ((L >>> 1) ^ R) & 0x55555555; R ^= t; L ^= (t << 1);
+  t = ((R >>> 8) ^ L) & 0x00FF00FF; L ^= t; R ^= (t << 8);
+  t = ((R >>> 2) ^ L) & 0x33333333; L ^= t; R ^= (t << 2);
+  t = ((L >>> 16) ^ R) & 0x0000FFFF; R ^= t; L ^= (t << 16);
+  t = ((L >>> 4) ^ R) & 0x0F0F0F0F; R ^= t; L ^= (t << 4);
+
+  desState[0] = L;
+  desState[1] = R;
+}
+
+/** Big-endian 32-bit word at buf[off] */
+function readWord(buf, off) {
+  return (buf[off] << 24) | (buf[off + 1] << 16) | (buf[off + 2] << 8) | buf[off + 3];
+}
 
-  const out = new Uint8Array(8);
-  lrToBytes(L, R, out, 0);
-  return out;
+/** Store desState as 8 bytes at buf[off] */
+function writeState(buf, off) {
+  const L = desState[0];
+  const R = desState[1];
+  buf[off] = L >>> 24; buf[off + 1] = L >>> 16; buf[off + 2] = L >>> 8; buf[off + 3] = L;
+  buf[off + 4] = R >>> 24; buf[off + 5] = R >>> 16; buf[off + 6] = R >>> 8; buf[off + 7] = R;
+}
+
+/** Run DES over the 8-byte block at buf[off] in place */
+function desCrypt(buf, off, subKeys) {
+  desState[0] = readWord(buf, off);
+  desState[1] = readWord(buf, off + 4);
+  desCore(subKeys);
+  writeState(buf, off);
 }
 
 // --- DES Key & Encryption ---
@@ -414,28 +709,99 @@ function msbParity(keyBytes) {
   return result;
 }
 
-function encryptDES_CBC(data, keyBytes, iv) {
-  const key = msbParity(keyBytes);
-  const subKeys = generateSubKeys(key);
-  const encrypted = new Uint8Array(data.length);
-  const prevBlock = new Uint8Array(iv);
+// Yamaha keys (raw key arrays) with msbParity applied, so the fixed keys are converted once
+const parityKeyCache = new WeakMap();
+
+function parityKey(keyBytes) {
+  let key = parityKeyCache.get(keyBytes);
+  if (!key) {
+    key = msbParity(keyBytes);
+    parityKeyCache.set(keyBytes, key);
+  }
+  return key;
+}
+
+// Key schedules by key array, so the fixed keys are derived once
+const scheduleCache = new WeakMap();
+
+function keySchedule(key) {
+  let subKeys = scheduleCache.get(key);
+  if (!subKeys) {
+    subKeys = generateSubKeys(key);
+    scheduleCache.set(key, subKeys);
+  }
+  return subKeys;
+}
+
+// Bytes encrypted between two onProgress calls
+const PROGRESS_INTERVAL = 1024 * 1024;
+
+/**
+ * DES-CBC over data in place (length must be a multiple of 8); returns data.
+ * onProgress(done, total), if given, is called every PROGRESS_INTERVAL bytes and at the end.
+ */
+function desCbcEncrypt(data, key, iv, onProgress = null) {
+  const subKeys = keySchedule(key);
+  const length = data.length;
+
+  // desState carries the previous ciphertext block from one iteration to the next
+  desState[0] = readWord(iv, 0);
+  desState[1] = readWord(iv, 4);
+  for (let i = 0; i < length; i += 8) {
+    if (onProgress && i > 0 && i % PROGRESS_INTERVAL === 0) onProgress(i, length);
+    desState[0] ^= readWord(data, i);
+    desState[1] ^= readWord(data, i + 4);
+    desCore(subKeys);
+    writeState(data, i);
+  }
+  if (onProgress) onProgress(length, length);
+  return data;
+}
+
+/** 3DES-EDE CBC over data in place (length must be a multiple of 8); returns data */
+function tripleDesCbcEncrypt(data, key24, iv) {
+  const sk1 = generateSubKeys(key24.subarray(0, 8));
+  const sk2 = reverseSubKeys(generateSubKeys(key24.subarray(8, 16)));
+  const sk3 = generateSubKeys(key24.subarray(16, 24));
 
   for (let i = 0; i < data.length; i += 8) {
-    const block = new Uint8Array(8);
-    for (let j = 0; j < 8; j++) block[j] = data[i + j] ^ prevBlock[j];
-    const enc = desBlock(block, subKeys);
-    encrypted.set(enc, i);
-    prevBlock.set(enc);
+    for (let j = 0; j < 8; j++) data[i + j] ^= i > 0 ? data[i - 8 + j] : iv[j];
+    // 3DES-EDE: E_K3(D_K2(E_K1(block)))
+    desCrypt(data, i, sk1);
+    desCrypt(data, i, sk2);
+    desCrypt(data, i, sk3);
   }
-  return encrypted;
+  return data;
 }
 
+// ---- Cipher Providers ----
+
+// A cipher provider is the block cipher behind every CPI build:
+//   desCbc(data, key8, iv8, onProgress?)  DES-CBC, in place, returns data
+//   tripleDesCbc(data, key24, iv8)        3DES-EDE-CBC, in place, returns data
+// Both run over whole blocks without padding. Keys arrive as the cipher must
+// use them (Yamaha's msbParity already applied), so any standard DES works:
+// the built-in JS engine, Node's crypto (node-cipher.js) or a WebAssembly build.
+// desCbc may be called on consecutive segments of one stream, chaining the IV.
+
+/** The built-in allocation-free JS engine (the default) */
+const jsCipher = { name: 'js', desCbc: desCbcEncrypt, tripleDesCbc: tripleDesCbcEncrypt };
+
+/** DES-CBC with a raw Yamaha key through a provider; in place, returns data */
+function encryptDES_CBC(data, keyBytes, iv, onProgress = null, cipher = jsCipher) {
+  return cipher.desCbc(data, parityKey(keyBytes), iv, onProgress);
+}
+
+/** Length after Yamaha padding: zeros up to the next 8-byte boundary (a full block if already aligned) */
+function paddedLength(length) {
+  return length + 8 - (length % 8);
+}
+
+/** Copy of data with Yamaha padding; the last byte records length % 8 */
 function addYamahaPadding(data) {
-  const remainder = data.length % 8;
-  const padLen = remainder === 0 ? 8 : 8 - remainder;
-  const padded = new Uint8Array(data.length + padLen);
+  const padded = new Uint8Array(paddedLength(data.length));
   padded.set(data, 0);
-  padded[padded.length - 1] = remainder;
+  padded[padded.length - 1] = data.length % 8;
   return padded;
 }
 
@@ -516,48 +882,49 @@ function keyExpansion(key16) {
   return output;
 }
 
-function desDecryptBlock(block, subKeys) {
-  let [L, R] = bytesToLR(block, 0);
-  [L, R] = initialPerm(L, R);
-  for (let i = 15; i >= 0; i--) {
-    const f = desF(R, subKeys[i]);
-    const newR = (L ^ f) >>> 0;
-    L = R;
-    R = newR;
-  }
-  [L, R] = finalPerm(R, L);
-  const out = new Uint8Array(8);
-  lrToBytes(L, R, out, 0);
-  return out;
+/** 3DES-EDE CBC with a zero IV over data in place through a provider (length must be a multiple of 8); returns data */
+function tripleDesEncryptCBC(data, key24, cipher = jsCipher) {
+  return cipher.tripleDesCbc(data, msbParity(key24), DES_IV);
 }
 
-function tripleDesEncryptCBC(data, key24) {
-  const sk1 = generateSubKeys(msbParity(key24.slice(0, 8)));
-  const sk2 = generateSubKeys(msbParity(key24.slice(8, 16)));
-  const sk3 = generateSubKeys(msbParity(key24.slice(16, 24)));
-  const encrypted = new Uint8Array(data.length);
-  const prev = new Uint8Array(8);
+/** Fill bytes from Web Crypto; the default rng */
+function secureRandom(bytes) {
+  return webCrypto.getRandomValues(bytes);
+}
 
-  for (let i = 0; i < data.length; i += 8) {
-    const block = new Uint8Array(8);
-    for (let j = 0; j < 8; j++) block[j] = data[i + j] ^ prev[j];
-    // 3DES-EDE: E_K3(D_K2(E_K1(block)))
-    const step1 = desBlock(block, sk1);
-    const step2 = desDecryptBlock(step1, sk2);
-    const step3 = desBlock(step2, sk3);
-    encrypted.set(step3, i);
-    prev.set(step3);
-  }
-  return encrypted;
+/**
+ * Seeded rng (xorshift32) for reproducible builds and golden-file tests.
+ * Not for real packs: the lock's firstData becomes predictable from the seed.
+ */
+function seededRandom(seed) {
+  let x = (seed >>> 0) || 0x9E3779B9;
+  return (bytes) => {
+    for (let i = 0; i < bytes.length; i++) {
+      x ^= x << 13; x ^= x >>> 17; x ^= x << 5;
+      bytes[i] = x;
+    }
+    return bytes;
+  };
 }
 
-function generateLockedCSEC(deviceFullId) {
+/**
+ * Encrypted CSEC payload locking a CPI to one device.
+ * options.firstData: the 16 random bytes to use; otherwise drawn from
+ * options.rng(bytes) (default: Web Crypto). Same firstData, same CSEC.
+ * options.cipher: cipher provider (default jsCipher).
+ */
+function generateLockedCSEC(deviceFullId, options = {}) {
+  const { rng = secureRandom, cipher = jsCipher } = options;
   const keySlot = keyDerivation(deviceFullId);
-  if (!keySlot) throw new Error('Empty device key');
+  if (!keySlot) throw new ConverterError('E_EMPTY_DEVICE_KEY');
 
   // Random first_data (16 bytes)
-  const firstData = new Uint8Array(16);
-  crypto.getRandomValues(firstData);
+  let firstData = options.firstData;
+  if (firstData) {
+    if (firstData.length !== 16) throw new ConverterError('E_BAD_FIRST_DATA');
+  } else {
+    firstData = rng(new Uint8Array(16));
+  }
 
   // second_data[j] = (keySlot[j] + firstData[15-j]) & 0xFF
   const secondData = new Uint8Array(16);
@@ -567,11 +934,11 @@ function generateLockedCSEC(deviceFullId) {
 
   // AIRI = DES_encrypt("dualseal", yamaha_pad(firstData)) → 24 bytes
   const firstDataPadded = addYamahaPadding(firstData);
-  const airi = encryptDES_CBC(firstDataPadded, DES_KEY_DUALSEAL, DES_IV);
+  const airi = encryptDES_CBC(firstDataPadded, DES_KEY_DUALSEAL, DES_IV, null, cipher);
 
   // AIVF = 3DES_encrypt(expand(keySlot), secondData) → 16 bytes
   const key24 = keyExpansion(keySlot);
-  const aivf = tripleDesEncryptCBC(secondData, key24);
+  const aivf = tripleDesEncryptCBC(secondData, key24, cipher);
 
   // Build CSEC: ABCF(00 01) + ABEI(AIRI + AIVF)
   const abcf = buildChunk('ABCF', new Uint8Array([0x00, 0x01]));
@@ -582,24 +949,21 @@ function generateLockedCSEC(deviceFullId) {
 
   // DES encrypt with "Foatfkio" + Yamaha padding → 80 bytes
   const csecPadded = addYamahaPadding(csecPlaintext);
-  return encryptDES_CBC(csecPadded, DES_KEY, DES_IV);
+  return encryptDES_CBC(csecPadded, DES_KEY, DES_IV, null, cipher);
 }
 
-// ---- Encrypted CPI Builder ----
+// ---- Pack Builder ----
 
-function buildEncryptedCPI(packData, modelName, packInstallId, deviceFullId) {
-  // 1. XPIH header (unencrypted)
+function buildXPIH(modelName, packInstallId) {
   const xmdlChunk = buildTextChunk('XMDL', modelName);
   const xpidData = new Uint8Array(4);
   writeUint32BE(xpidData, 0, packInstallId);
   const xpidChunk = buildChunk('XPID', xpidData);
-  const xpihChunk = buildContainerChunk('XPIH', [xmdlChunk, xpidChunk]);
-
-  // 2. CSEC chunk — device-locked if fullId provided, otherwise standard
-  const csecData = deviceFullId ? generateLockedCSEC(deviceFullId) : CSEC_ENCRYPTED;
-  const csecChunk = buildChunk('CSEC', csecData);
+  return buildContainerChunk('XPIH', [xmdlChunk, xpidChunk]);
+}
 
-  // 3. Build payload (plaintext)
+/** Serialize pack data ({ uid, title, blobs }) as the plaintext EUID/ETIT/BLOB payload */
+function buildPackPayload(packData) {
   const payloadParts = [];
   payloadParts.push(buildTextChunk('EUID', packData.uid));
   payloadParts.push(buildTextChunk('ETIT', packData.title));
@@ -614,32 +978,150 @@ function buildEncryptedCPI(packData, modelName, packInstallId, deviceFullId) {
     payloadParts.push(buildContainerChunk('BLOB', blobParts));
   }
 
-  const payloadRaw = concatArrays(payloadParts);
+  return concatArrays(payloadParts);
+}
 
-  // 4. Pad and encrypt payload
-  const payloadPadded = addYamahaPadding(payloadRaw);
-  const payloadEncrypted = encryptDES_CBC(payloadPadded, DES_KEY, DES_IV);
+/** Serialize pack data as an unencrypted PPI: XPIH + payload */
+function buildPPI(packData, modelName, packInstallId) {
+  return concatArrays([buildXPIH(modelName, packInstallId), buildPackPayload(packData)]);
+}
 
-  // 5. Assemble: XPIH + CSEC + encrypted payload
-  return concatArrays([xpihChunk, csecChunk, payloadEncrypted]);
+/** Random 128-bit EUID, formatted like a GUID; rng(bytes) as for generateLockedCSEC */
+function generateEUID(rng = secureRandom) {
+  const bytes = rng(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/** Pack item for a loose instrument file: title and EEXT from the file name, fresh EUID */
+function packItemFromFile(fileName, binaryData, iconCode = null) {
+  const base = fileName.split(/[\\/]/).pop();
+  const dot = base.lastIndexOf('.');
+  return {
+    uid: generateEUID(),
+    title: dot > 0 ? base.slice(0, dot) : base,
+    extension: dot > 0 ? base.slice(dot + 1) : '',
+    iconCode,
+    binaryData,
+  };
+}
+
+// ---- CPI Assembly ----
+
+// A CPI is XPIH + CSEC + the padded, DES-CBC encrypted payload. assembleCPI
+// pads and encrypts the payload inside the output buffer; cpiSegments encrypts
+// it one segment at a time so the CPI never has to be in memory as a whole.
+
+// Both take the build options: onProgress(done, total) for payload bytes
+// encrypted, and cipher (see Cipher Providers).
+
+// Payload bytes per cpiSegments segment (a multiple of the DES block size)
+const SEGMENT_SIZE = 4 * 1024 * 1024;
+
+/** CSEC chunk — device-locked if fullId provided, otherwise standard; options as for generateLockedCSEC */
+function csecChunkFor(deviceFullId, options) {
+  return buildChunk('CSEC', deviceFullId ? generateLockedCSEC(deviceFullId, options) : CSEC_ENCRYPTED);
+}
+
+/** Build the whole CPI in one buffer */
+function assembleCPI(xpihChunk, csecChunk, payloadRaw, { onProgress, cipher } = {}) {
+  const payloadStart = xpihChunk.length + csecChunk.length;
+  const cpi = new Uint8Array(payloadStart + paddedLength(payloadRaw.length));
+  cpi.set(xpihChunk, 0);
+  cpi.set(csecChunk, xpihChunk.length);
+  cpi.set(payloadRaw, payloadStart);
+  cpi[cpi.length - 1] = payloadRaw.length % 8;
+  encryptDES_CBC(cpi.subarray(payloadStart), DES_KEY, DES_IV, onProgress, cipher);
+  return cpi;
+}
+
+/**
+ * Yield the CPI as consecutive new Uint8Arrays: XPIH, CSEC, then the encrypted
+ * payload in SEGMENT_SIZE pieces. Segments are not reused, so a consumer may
+ * keep or transfer them.
+ */
+function* cpiSegments(xpihChunk, csecChunk, payloadRaw, { onProgress, cipher } = {}) {
+  yield xpihChunk.slice();
+  yield csecChunk;
+
+  const total = paddedLength(payloadRaw.length);
+  let iv = DES_IV;
+  for (let done = 0; done < total;) {
+    const segment = new Uint8Array(Math.min(SEGMENT_SIZE, total - done));
+    segment.set(payloadRaw.subarray(done, done + segment.length));
+    if (done + segment.length === total) segment[segment.length - 1] = payloadRaw.length % 8;
+
+    const base = done;
+    encryptDES_CBC(segment, DES_KEY, iv, onProgress && ((n) => onProgress(base + n, total)), cipher);
+    iv = segment.slice(-8); // CBC chains into the next segment
+    done += segment.length;
+    yield segment;
+  }
+}
+
+// ---- Encrypted CPI Builder ----
+
+/**
+ * Build and encrypt a CPI from pack data (PPF contents or an authored pack).
+ * options.onProgress(done, total) reports payload bytes encrypted.
+ * options.rng / firstData / cipher make the build reproducible or swap the
+ * cipher (see generateLockedCSEC).
+ */
+function buildEncryptedCPI(packData, modelName, packInstallId, deviceFullId, options = {}) {
+  return assembleCPI(buildXPIH(modelName, packInstallId), csecChunkFor(deviceFullId, options), buildPackPayload(packData), options);
+}
+
+/** buildEncryptedCPI as a segment generator (see cpiSegments) */
+function streamEncryptedCPI(packData, modelName, packInstallId, deviceFullId, options = {}) {
+  return cpiSegments(buildXPIH(modelName, packInstallId), csecChunkFor(deviceFullId, options), buildPackPayload(packData), options);
+}
+
+// ---- Wave Data ----
+
+/**
+ * Split a VWDT (wave data) or VPRM (voice parameters) chunk into entries.
+ * When the chunk data is itself a clean chunk sequence, each sub-chunk is one
+ * entry (one wave / one parameter set); otherwise the whole chunk is one entry.
+ * baseOffset: file offset of the buffer holding the chunk.
+ * Returns [{ id, offset, size }] with absolute offsets and data sizes.
+ */
+function parseWaveEntries(chunk, baseOffset) {
+  const dataOffset = baseOffset + chunk.offset + 8;
+  const trial = [];
+  const subs = readChunks(chunk.data, 0, undefined, { strict: true, diagnostics: trial, baseOffset: dataOffset });
+  if (subs.length > 0 && trial.every(d => d.type === 'unknown')) {
+    return subs.map(sub => ({ id: sub.id, offset: dataOffset + sub.offset, size: sub.data.length }));
+  }
+  return [{ id: chunk.id, offset: baseOffset + chunk.offset, size: chunk.data.length }];
 }
 
 // ---- PPI Parser ----
 
 /**
  * Parse a PPI file (unencrypted CPI).
- * Structure: XPIH(XMDL + XPID) + payload(EUID, ETIT, BLOBs)
- * Returns { modelName, packInstallId, xpihChunk, payloadRaw }
+ * Structure: XPIH(XMDL + XPID) + payload(EUID, ETIT, BLOBs, VWDT/VPRM for wave packs)
+ * options.strict: see readChunks.
+ * Returns { modelName, packInstallId, xpihChunk, payloadRaw, uid, title,
+ *           blobs, blobCount, packType, waves, voiceParams, waveMemoryBytes,
+ *           diagnostics }
  */
-function parsePPI(buf) {
+function parsePPI(buf, options = {}) {
+  const { strict = false } = options;
+  const diagnostics = [];
+
   // Read XPIH header
   const tag = readFourCC(buf, 0);
-  if (tag !== 'XPIH') throw new Error('קובץ PPI לא תקין — חסר XPIH header');
+  if (tag !== 'XPIH') throw new ConverterError('E_NO_XPIH');
   const xpihSize = readUint32BE(buf, 4);
-  const xpihEnd = 8 + xpihSize;
+  const xpihEnd = Math.min(8 + xpihSize, buf.length);
+  if (8 + xpihSize > buf.length) {
+    diagnostics.push({ type: 'truncated', offset: 0, id: 'XPIH', expectedSize: xpihSize, actualSize: xpihEnd - 8 });
+  }
 
   // Parse XPIH sub-chunks for model name and pack ID
-  const xpihChunks = readChunks(buf, 8, xpihEnd);
+  const xpihChunks = readChunks(buf, 8, xpihEnd, { diagnostics, strict });
   let modelName = '';
   let packInstallId = 1;
   for (const c of xpihChunks) {
@@ -647,58 +1129,752 @@ function parsePPI(buf) {
     else if (c.id === 'XPID' && c.data.length >= 4) packInstallId = readUint32BE(c.data, 0);
   }
 
-  if (!modelName) throw new Error('לא נמצא שם דגם (XMDL) בקובץ PPI');
+  if (!modelName) throw new ConverterError('E_NO_XMDL');
 
-  // Keep the original XPIH chunk bytes
-  const xpihChunk = buf.slice(0, xpihEnd);
+  // The original XPIH chunk bytes; views into buf, not copies
+  const xpihChunk = buf.subarray(0, xpihEnd);
 
   // Everything after XPIH is the unencrypted payload
-  const payloadRaw = buf.slice(xpihEnd);
+  const payloadRaw = buf.subarray(xpihEnd);
 
   // Parse payload chunks for display info
-  const payloadChunks = readChunks(payloadRaw, 0);
+  const payloadOptions = { diagnostics, strict, baseOffset: xpihEnd };
+  const payloadChunks = readChunks(payloadRaw, 0, undefined, payloadOptions);
   let uid = '';
   let title = '';
   const blobs = [];
-  let hasVWDT = false;
+  const waves = [];
+  const voiceParams = [];
 
   for (const chunk of payloadChunks) {
     if (chunk.id === 'EUID' && !uid) uid = chunkText(chunk);
     else if (chunk.id === 'ETIT' && !title) title = chunkText(chunk);
-    else if (chunk.id === 'BLOB') blobs.push(chunk);
-    else if (chunk.id === 'VWDT') hasVWDT = true;
-    else if (chunk.id === 'VPRM') { /* voice parameters */ }
+    else if (chunk.id === 'BLOB') blobs.push(parseBlob(chunk, payloadOptions));
+    else if (chunk.id === 'VWDT') waves.push(...parseWaveEntries(chunk, xpihEnd));
+    else if (chunk.id === 'VPRM') voiceParams.push(...parseWaveEntries(chunk, xpihEnd));
     else if (chunk.id === 'PACK') {
-      // Extract title and blobs from PACK sub-chunks
-      const packSubs = readSubChunks(chunk);
+      // Extract title, blobs and wave data from PACK sub-chunks
+      const packBase = xpihEnd + chunk.offset + 8;
+      const packOptions = { ...payloadOptions, baseOffset: packBase };
+      const packSubs = readSubChunks(chunk, payloadOptions);
       for (const ps of packSubs) {
         if (ps.id === 'ETIT' && !title) title = chunkText(ps);
-        else if (ps.id === 'BLOB') blobs.push(ps);
+        else if (ps.id === 'BLOB') blobs.push(parseBlob(ps, packOptions));
+        else if (ps.id === 'VWDT') waves.push(...parseWaveEntries(ps, packBase));
+        else if (ps.id === 'VPRM') voiceParams.push(...parseWaveEntries(ps, packBase));
+      }
+    }
+  }
+
+  const packType = waves.length > 0 ? 'wave' : 'standard';
+  const waveMemoryBytes = waves.reduce((sum, w) => sum + w.size, 0);
+  return {
+    modelName, packInstallId, xpihChunk, payloadRaw, uid, title, blobs, blobCount: blobs.length, packType,
+    waves, voiceParams, waveMemoryBytes, diagnostics,
+  };
+}
+
+// ---- PPI Editor ----
+
+/** Re-serialize a BLOB chunk, replacing (or adding) its ETIT when title is given */
+function rebuildBlob(chunk, title, options = {}) {
+  const subs = readSubChunks(chunk, options);
+  const parts = [];
+  let titled = false;
+  for (const s of subs) {
+    if (s.id === 'ETIT' && title !== undefined) {
+      if (!titled) parts.push(buildTextChunk('ETIT', title));
+      titled = true;
+    } else {
+      parts.push(buildChunk(s.id, s.data));
+    }
+  }
+  if (title !== undefined && !titled) {
+    const euidIndex = subs.findIndex(s => s.id === 'EUID');
+    parts.splice(euidIndex + 1, 0, buildTextChunk('ETIT', title));
+  }
+  return buildContainerChunk('BLOB', parts);
+}
+
+/**
+ * Drop and rename blobs of a parsed PPI.
+ * edits[i] applies to ppiData.blobs[i]: { include: boolean, title?: string }.
+ * The payload is walked in the same order parsePPI collected the blobs
+ * (top-level and PACK-nested) and re-serialized chunk by chunk.
+ * options.strict: the mode ppiData was parsed in (see parsePPI); the payload is
+ * re-read the same way, so edits line up with ppiData.blobs and a strictly
+ * parsed pack keeps its unknown chunks.
+ * Returns a new ppiData ready for buildCPIFromPPI.
+ */
+function applyBlobEdits(ppiData, edits, options = {}) {
+  const chunkOptions = { strict: options.strict };
+  let index = 0;
+  const blobs = [];
+
+  function editBlob(chunk) {
+    const edit = edits[index] ?? { include: true };
+    const blob = ppiData.blobs[index];
+    index++;
+    if (!edit.include) return null;
+    const renamed = edit.title !== undefined && edit.title !== blob.title;
+    blobs.push(renamed ? { ...blob, title: edit.title } : blob);
+    return renamed ? rebuildBlob(chunk, edit.title, chunkOptions) : buildChunk('BLOB', chunk.data);
+  }
+
+  const parts = [];
+  for (const chunk of readChunks(ppiData.payloadRaw, 0, undefined, chunkOptions)) {
+    if (chunk.id === 'BLOB') {
+      const built = editBlob(chunk);
+      if (built) parts.push(built);
+    } else if (chunk.id === 'PACK') {
+      const packParts = [];
+      for (const ps of readSubChunks(chunk, chunkOptions)) {
+        if (ps.id === 'BLOB') {
+          const built = editBlob(ps);
+          if (built) packParts.push(built);
+        } else {
+          packParts.push(buildChunk(ps.id, ps.data));
+        }
       }
+      parts.push(buildContainerChunk('PACK', packParts));
+    } else {
+      parts.push(buildChunk(chunk.id, chunk.data));
     }
   }
 
-  const packType = hasVWDT ? 'wave' : 'standard';
-  return { modelName, packInstallId, xpihChunk, payloadRaw, uid, title, blobCount: blobs.length, packType };
+  const payloadRaw = concatArrays(parts);
+  return { ...ppiData, payloadRaw, blobs, blobCount: blobs.length };
+}
+
+/**
+ * Point a parsed PPI at another model or install slot.
+ * target: { modelName?, packInstallId?, regenerateUid?, rng? } — omitted fields keep
+ * the PPI's values. A changed model or slot rebuilds the XPIH like
+ * buildEncryptedCPI does; otherwise the original XPIH bytes are kept.
+ * regenerateUid gives the pack a fresh EUID, so two variants of one pack can
+ * sit on the same instrument.
+ * Returns a new ppiData ready for buildCPIFromPPI.
+ */
+function retargetPPI(ppiData, target = {}) {
+  const { modelName = ppiData.modelName, packInstallId = ppiData.packInstallId, regenerateUid = false, rng } = target;
+  if (!modelName) throw new ConverterError('E_NO_TARGET_MODEL');
+  if (!Number.isInteger(packInstallId) || packInstallId < 0 || packInstallId > 0xFFFFFFFF) {
+    throw new ConverterError('E_BAD_PACK_ID', { packInstallId });
+  }
+
+  const retargeted = { ...ppiData, modelName, packInstallId };
+  if (modelName !== ppiData.modelName || packInstallId !== ppiData.packInstallId) {
+    retargeted.xpihChunk = buildXPIH(modelName, packInstallId);
+  }
+
+  if (regenerateUid) {
+    // Splice a new pack EUID in place of the first top-level one; every other payload byte is kept
+    const euid = readChunks(ppiData.payloadRaw, 0).find(c => c.id === 'EUID');
+    if (!euid) throw new ConverterError('E_NO_PACK_EUID');
+    const uid = generateEUID(rng);
+    const { payloadRaw } = ppiData;
+    retargeted.payloadRaw = concatArrays([
+      payloadRaw.subarray(0, euid.offset),
+      buildTextChunk('EUID', uid),
+      payloadRaw.subarray(euid.offset + 8 + euid.data.length),
+    ]);
+    retargeted.uid = uid;
+  }
+  return retargeted;
+}
+
+/** Apply the retargetPPI fields of build options, if any */
+function retargetFromOptions(ppiData, options) {
+  const { modelName, packInstallId, regenerateUid, rng } = options;
+  if (modelName === undefined && packInstallId === undefined && !regenerateUid) return ppiData;
+  return retargetPPI(ppiData, { modelName, packInstallId, regenerateUid, rng });
 }
 
 /**
  * Encrypt a parsed PPI into a CPI file.
  * Takes the original XPIH + raw payload, adds CSEC and encrypts payload.
+ * options.onProgress(done, total) reports payload bytes encrypted.
+ * options.modelName / packInstallId / regenerateUid retarget the pack first (see retargetPPI).
+ * options.rng / firstData / cipher as for buildEncryptedCPI.
  */
-function buildCPIFromPPI(ppiData, deviceFullId) {
-  const { xpihChunk, payloadRaw } = ppiData;
+function buildCPIFromPPI(ppiData, deviceFullId, options = {}) {
+  const { xpihChunk, payloadRaw } = retargetFromOptions(ppiData, options);
+  return assembleCPI(xpihChunk, csecChunkFor(deviceFullId, options), payloadRaw, options);
+}
 
-  // CSEC — device-locked if fullId provided, otherwise standard
-  const csecData = deviceFullId ? generateLockedCSEC(deviceFullId) : CSEC_ENCRYPTED;
-  const csecChunk = buildChunk('CSEC', csecData);
+/** buildCPIFromPPI as a segment generator (see cpiSegments) */
+function streamCPIFromPPI(ppiData, deviceFullId, options = {}) {
+  const { xpihChunk, payloadRaw } = retargetFromOptions(ppiData, options);
+  return cpiSegments(xpihChunk, csecChunkFor(deviceFullId, options), payloadRaw, options);
+}
+
+// ---- PPF Export ----
+
+// Wave data lives in the instrument's wave memory and has no place in a PPF project
+const WAVE_TAGS = new Set(['VWDT', 'VPRM']);
+
+/**
+ * Rebuild a PPF project from an unencrypted PPI, so a pack whose project was
+ * lost can be reopened in the vendor's pack-building tool. The project is
+ * XPFH(EUID, ETIT, BLOBs): blobs are copied byte-for-byte, including those
+ * nested in a wave pack's PACK; the XPIH model and slot are dropped.
+ * Returns { ppf, uid, title, blobCount, warnings } — one warning ({ code, message,
+ * id, size }) per chunk left out, such as VWDT/VPRM wave data, and one
+ * PPF_UNPARSED_BYTES warning ({ code, message, size }) per run of bytes that are
+ * not a chunk. A damaged pack whose chunk structure yields fewer blobs than
+ * parsePPI finds is refused with E_PPF_MISSING_ITEMS rather than exported short.
+ */
+function ppiToPPF(buf) {
+  const tree = ChunkTree.parse(buf);
+  const [xpih, ...payload] = tree.children;
+  if (xpih?.id !== 'XPIH') throw new ConverterError('E_NO_XPIH');
+  if (payload[0]?.id === 'CSEC') throw new ConverterError('E_ENCRYPTED_PACK');
+
+  let uid = null;
+  let title = null;
+  const blobs = [];
+  const warnings = [];
+  const unparsed = (bytes) => {
+    if (bytes.length === 0) return;
+    const params = { size: bytes.length };
+    warnings.push({ code: 'PPF_UNPARSED_BYTES', message: t('PPF_UNPARSED_BYTES', params), ...params });
+  };
+  const take = (node) => {
+    if (node.id === 'EUID' && !uid) uid = node;
+    else if (node.id === 'ETIT' && !title) title = node;
+    else if (node.id === 'BLOB') blobs.push(node);
+    else if (node.id === 'PACK' && node.children) {
+      node.children.forEach(take);
+      unparsed(node.trailing);
+    } else {
+      const params = { id: node.id, size: contentLength(node) };
+      const code = WAVE_TAGS.has(node.id) ? 'PPF_WAVE_DATA' : 'PPF_DROPPED_CHUNK';
+      warnings.push({ code, message: t(code, params), ...params });
+    }
+  };
+  payload.forEach(take);
+  unparsed(tree.trailing);
 
-  // Pad and encrypt payload
-  const payloadPadded = addYamahaPadding(payloadRaw);
-  const payloadEncrypted = encryptDES_CBC(payloadPadded, DES_KEY, DES_IV);
+  const expected = parsePPI(buf).blobCount;
+  if (blobs.length < expected) throw new ConverterError('E_PPF_MISSING_ITEMS', { found: blobs.length, expected });
 
-  // Assemble: XPIH + CSEC + encrypted payload
-  return concatArrays([xpihChunk, csecChunk, payloadEncrypted]);
+  const project = new ChunkTree([containerNode('XPFH', [uid, title, ...blobs].filter(Boolean))]);
+  return {
+    ppf: project.serialize(),
+    uid: uid ? chunkText(uid) : '',
+    title: title ? chunkText(title) : '',
+    blobCount: blobs.length,
+    warnings,
+  };
+}
+
+// ---- Merge & Split ----
+
+// Merged and split packs are rebuilt with buildPPI from the parsed blobs. Wave
+// packs are refused: their VWDT/VPRM data would not be carried over.
+
+// An EUID chunk holding a generateEUID value: 36 characters and the terminating NUL
+const EUID_CHUNK_SIZE = 8 + 36 + 1;
+
+function textChunkSize(text) {
+  return 8 + textEncoder.encode(text).length + 1;
+}
+
+/** Bytes one blob takes in buildPackPayload */
+function blobChunkSize(blob) {
+  return 8 + textChunkSize(blob.uid) + textChunkSize(blob.title) + textChunkSize(blob.extension)
+    + (blob.iconCode ? textChunkSize(blob.iconCode) : 0) + 8 + blob.binaryData.length;
+}
+
+function rejectWavePack(pack) {
+  if (pack.packType === 'wave') throw new ConverterError('E_WAVE_PACK_UNSUPPORTED', { title: pack.title });
+}
+
+/**
+ * Combine the blobs of several packs (parsePPI / parsePPFRaw results) into one PPI.
+ * options: { title, uid?, modelName?, packInstallId?, renewDuplicateUids?, rng? } —
+ * uid defaults to a fresh EUID, model and slot to those of the first pack with a
+ * model (PPF projects have neither), so both come from the same XPIH.
+ * A blob whose EUID an earlier blob already uses is left out, or kept under a
+ * fresh EUID with renewDuplicateUids; either way it is listed in duplicates
+ * ({ code, message, uid, title, usedBy, newUid? }).
+ * Returns { ppi, uid, title, modelName, packInstallId, blobCount, size, duplicates }.
+ */
+function mergePacks(packs, options = {}) {
+  const { title = '', renewDuplicateUids = false, rng } = options;
+  if (packs.length === 0) throw new ConverterError('E_NOTHING_TO_MERGE');
+  packs.forEach(rejectWavePack);
+  const header = packs.find(p => p.modelName);
+  const modelName = options.modelName ?? header?.modelName;
+  if (!modelName) throw new ConverterError('E_NO_TARGET_MODEL');
+  const packInstallId = options.packInstallId ?? header?.packInstallId ?? 1;
+  const uid = options.uid ?? generateEUID(rng);
+
+  const seen = new Map();   // blob EUID → title of the blob that brought it
+  const blobs = [];
+  const duplicates = [];
+  for (const blob of packs.flatMap(p => p.blobs)) {
+    if (!blob.uid || !seen.has(blob.uid)) {
+      seen.set(blob.uid, blob.title);
+      blobs.push(blob);
+      continue;
+    }
+    const params = { uid: blob.uid, title: blob.title, usedBy: seen.get(blob.uid) };
+    if (renewDuplicateUids) {
+      params.newUid = generateEUID(rng);
+      blobs.push({ ...blob, uid: params.newUid });
+    }
+    const code = renewDuplicateUids ? 'MERGE_DUPLICATE_RENEWED' : 'MERGE_DUPLICATE_SKIPPED';
+    duplicates.push({ code, message: t(code, params), ...params });
+  }
+
+  const ppi = buildPPI({ uid, title, blobs }, modelName, packInstallId);
+  return { ppi, uid, title, modelName, packInstallId, blobCount: blobs.length, size: ppi.length, duplicates };
+}
+
+/**
+ * Split a pack (parsePPI / parsePPFRaw result) into consecutive smaller PPIs of
+ * at most maxItems blobs and maxBytes bytes each. Every part gets a fresh EUID,
+ * the title "<title> i/n" and its own install slot, counting up from the first.
+ * options: { maxItems?, maxBytes?, title?, modelName?, packInstallId?, rng? } —
+ * title, model and first slot default to the pack's. Throws E_SPLIT_TOO_MANY_PARTS
+ * when the last part's slot is past the model's install slots (PACK_INSTALL_ID_MAX
+ * for models not in the registry).
+ * Returns [{ ppi, uid, title, modelName, packInstallId, blobCount, size }].
+ */
+function splitPack(pack, options = {}) {
+  const { maxItems = Infinity, maxBytes = Infinity, rng } = options;
+  rejectWavePack(pack);
+  if (maxItems === Infinity && maxBytes === Infinity) throw new ConverterError('E_NO_SPLIT_LIMIT');
+  if (maxItems !== Infinity && !(Number.isInteger(maxItems) && maxItems >= 1)) {
+    throw new ConverterError('E_BAD_FIELD_VALUE', { field: 'maxItems', value: maxItems });
+  }
+  if (!(maxBytes > 0)) throw new ConverterError('E_BAD_FIELD_VALUE', { field: 'maxBytes', value: maxBytes });
+  const title = options.title ?? pack.title;
+  const modelName = options.modelName ?? pack.modelName;
+  if (!modelName) throw new ConverterError('E_NO_TARGET_MODEL');
+  const firstSlot = options.packInstallId ?? pack.packInstallId ?? 1;
+
+  // Header bytes of the part with the longest possible "<title> n/n"
+  const count = pack.blobs.length;
+  const headerSize = 8 + textChunkSize(modelName) + 12 + EUID_CHUNK_SIZE + textChunkSize(`${title} ${count}/${count}`);
+
+  const groups = [];
+  let group = [];
+  let size = headerSize;
+  for (const blob of pack.blobs) {
+    const blobSize = blobChunkSize(blob);
+    if (headerSize + blobSize > maxBytes) {
+      throw new ConverterError('E_SPLIT_ITEM_TOO_LARGE', { title: blob.title, size: headerSize + blobSize, maxBytes });
+    }
+    if (group.length === maxItems || size + blobSize > maxBytes) {
+      groups.push(group);
+      group = [];
+      size = headerSize;
+    }
+    group.push(blob);
+    size += blobSize;
+  }
+  if (group.length > 0) groups.push(group);
+
+  const lastSlot = firstSlot + groups.length - 1;
+  const maxSlot = getModelInfo(modelName)?.installSlots ?? PACK_INSTALL_ID_MAX;
+  if (lastSlot > maxSlot) {
+    throw new ConverterError('E_SPLIT_TOO_MANY_PARTS', { parts: groups.length, firstSlot, lastSlot, maxSlot, modelName });
+  }
+
+  return groups.map((blobs, i) => {
+    const uid = generateEUID(rng);
+    const partTitle = `${title} ${i + 1}/${groups.length}`;
+    const packInstallId = firstSlot + i;
+    const ppi = buildPPI({ uid, title: partTitle, blobs }, modelName, packInstallId);
+    return { ppi, uid, title: partTitle, modelName, packInstallId, blobCount: blobs.length, size: ppi.length };
+  });
+}
+
+// ---- Pack Diff ----
+
+// Header fields compared by diffPacks: XMDL, XPID and the pack's EUID and ETIT
+const DIFF_HEADER_FIELDS = ['modelName', 'packInstallId', 'uid', 'title'];
+
+function diffItem(blob) {
+  return { uid: blob.uid, title: blob.title, extension: blob.extension, size: blob.binaryData.length, sha256: sha256Hex(blob.binaryData) };
+}
+
+/**
+ * Compare two versions of a pack (parsePPI / parsePPFRaw results). Blobs are
+ * matched by EUID; a repeated or empty EUID matches in order of appearance.
+ * A PPF has no model or install slot, so those compare as null.
+ * Returns {
+ *   identical,
+ *   header:  [{ field, before, after }] — only the fields that differ,
+ *   added, removed: [{ uid, title, extension, size, sha256 }],
+ *   renamed: [{ uid, before, after }] — same EUID, new ETIT,
+ *   changed: [{ uid, title, sizeBefore, sizeAfter, sizeDelta, sha256Before, sha256After }] — FBIN content,
+ *   unchanged: count of matched blobs that are neither renamed nor changed
+ * }
+ */
+function diffPacks(a, b) {
+  const header = DIFF_HEADER_FIELDS
+    .map(field => ({ field, before: a[field] ?? null, after: b[field] ?? null }))
+    .filter(h => h.before !== h.after);
+
+  // EUID → blobs of a not matched yet, in order
+  const pending = new Map();
+  for (const blob of a.blobs) {
+    if (!pending.has(blob.uid)) pending.set(blob.uid, []);
+    pending.get(blob.uid).push(blob);
+  }
+
+  const added = [];
+  const renamed = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const after of b.blobs) {
+    const before = pending.get(after.uid)?.shift();
+    if (!before) {
+      added.push(diffItem(after));
+      continue;
+    }
+    const sha256Before = sha256Hex(before.binaryData);
+    const sha256After = sha256Hex(after.binaryData);
+    if (before.title !== after.title) renamed.push({ uid: after.uid, before: before.title, after: after.title });
+    if (sha256Before !== sha256After) {
+      const sizeBefore = before.binaryData.length;
+      const sizeAfter = after.binaryData.length;
+      changed.push({ uid: after.uid, title: after.title, sizeBefore, sizeAfter, sizeDelta: sizeAfter - sizeBefore, sha256Before, sha256After });
+    }
+    if (before.title === after.title && sha256Before === sha256After) unchanged++;
+  }
+  const unmatched = new Set([...pending.values()].flat());
+  const removed = a.blobs.filter(blob => unmatched.has(blob)).map(diffItem);
+
+  const identical = header.length + added.length + removed.length + renamed.length + changed.length === 0;
+  return { identical, header, added, removed, renamed, changed, unchanged };
+}
+
+// ---- Batch Builder ----
+
+function safeFileName(name) {
+  return name.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+function csvField(value) {
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Decide where each device's CPI goes in a batch ZIP.
+ * devices: parseN27 results; devices sharing a fullId (or without one) are dropped.
+ * Returns [{ device, file }] — one folder per serial, numbered on collision.
+ */
+function planBatch(modelName, devices) {
+  const cpiName = `${modelName}_PackInstallData.cpi`;
+  const seenIds = new Set();
+  const usedFolders = new Set();
+  const plan = [];
+
+  for (const device of devices) {
+    if (!device.fullId || seenIds.has(device.fullId)) continue;
+    seenIds.add(device.fullId);
+
+    const base = safeFileName(device.serial || device.fullId);
+    let folder = base;
+    for (let n = 2; usedFolders.has(folder); n++) folder = `${base}_${n}`;
+    usedFolders.add(folder);
+
+    plan.push({ device, file: `${folder}/${cpiName}` });
+  }
+
+  if (plan.length === 0) throw new ConverterError('E_NO_DEVICES');
+  return plan;
+}
+
+/**
+ * ZIP entries for a batch: cpis[i] is the CPI for plan[i]; index.csv maps serial and device ID to its entry.
+ * manifests[i], if given, is stored next to its CPI (see manifestFileName).
+ */
+/** The batch ZIP's index.csv: which device each CPI is locked to */
+function batchIndexCSV(plan) {
+  const rows = [['serial', 'device_id', 'model', 'file'].join(',')];
+  for (const { device, file } of plan) rows.push([device.serial, device.fullId, device.modelName, file].map(csvField).join(','));
+  return rows.join('\r\n') + '\r\n';
+}
+
+function batchEntries(plan, cpis, manifests = null) {
+  const entries = [];
+  plan.forEach(({ file }, i) => {
+    entries.push({ name: file, data: cpis[i] });
+    if (manifests) entries.push({ name: manifestFileName(file), data: JSON.stringify(manifests[i], null, 2) + '\n' });
+  });
+  entries.push({ name: 'index.csv', data: batchIndexCSV(plan) });
+  return entries;
+}
+
+/** Package built CPIs (and optional manifests) as batch ZIP parts (see createZipParts) without copying the CPIs */
+function zipBatchParts(plan, cpis, manifests = null) {
+  return createZipParts(batchEntries(plan, cpis, manifests));
+}
+
+/**
+ * Lock one parsed PPI to many devices and yield the batch ZIP piece by piece
+ * (see streamZipParts): each CPI is encrypted only when the previous one has
+ * been consumed, so memory stays at one segment however many devices there are.
+ * options.input: { fileName, size, sha256 } of the pack; when given, each CPI
+ * is followed by its manifest, hashed as it streams.
+ * options.rng / firstData / cipher as for buildCPIFromPPI.
+ */
+function streamBatchZip(ppiData, plan, options = {}) {
+  const { input, rng, firstData, cipher } = options;
+  return streamZipParts((function* () {
+    for (const { device, file } of plan) {
+      const hash = createSha256();
+      let size = 0;
+      yield {
+        name: file,
+        segments: (function* () {
+          for (const segment of streamCPIFromPPI(ppiData, device.fullId, { rng, firstData, cipher })) {
+            hash.update(segment);
+            size += segment.length;
+            yield segment;
+          }
+        })(),
+      };
+      if (input) {
+        const output = { fileName: file, size, sha256: hash.hex() };
+        yield { name: manifestFileName(file), data: JSON.stringify(buildManifest({ input, output, pack: ppiData, device }), null, 2) + '\n' };
+      }
+    }
+    yield { name: 'index.csv', data: batchIndexCSV(plan) };
+  })());
+}
+
+/**
+ * Lock one parsed PPI to many devices and package the CPIs as a ZIP.
+ * See planBatch for the layout; the page streams the same ZIP from its worker
+ * pool (createZipWriter) so the devices are encrypted in parallel.
+ * options.rng / firstData / cipher as for buildCPIFromPPI.
+ */
+function buildBatchZip(ppiData, devices, options = {}) {
+  const { rng, firstData, cipher } = options;
+  const plan = planBatch(ppiData.modelName, devices);
+  return createZip(batchEntries(plan, plan.map(({ device }) => buildCPIFromPPI(ppiData, device.fullId, { rng, firstData, cipher }))));
+}
+
+// ---- Conversion Manifest ----
+
+// Kept in step with package.json (the test suite checks)
+const TOOL_NAME = 'cpi-tool';
+const TOOL_VERSION = '1.0.0';
+
+// Identifies manifest files
+const MANIFEST_FORMAT = 'cpi-tool-manifest';
+const MANIFEST_VERSION = 1;
+
+/** { fileName, size, sha256 } for a file held in memory */
+function describeFile(fileName, data) {
+  return { fileName, size: data.length, sha256: sha256Hex(data) };
+}
+
+/** Sidecar name for a CPI: Genos_PackInstallData.cpi → Genos_PackInstallData.manifest.json */
+function manifestFileName(cpiFileName) {
+  return cpiFileName.replace(/\.cpi$/i, '') + '.manifest.json';
+}
+
+/**
+ * Record of one conversion, saved next to its CPI: which pack went to which instrument.
+ * input / output: { fileName, size, sha256 } (see describeFile)
+ * pack: { title, uid, modelName, packInstallId } as written to the CPI (after retargeting)
+ * device: the N27 info the CPI is locked to, or null for a standard CSEC
+ */
+function buildManifest({ input, output, pack, device = null, createdAt = new Date() }) {
+  return {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    tool: { name: TOOL_NAME, version: TOOL_VERSION },
+    createdAt: createdAt.toISOString(),
+    input: { fileName: input.fileName, size: input.size, sha256: input.sha256 },
+    output: { fileName: output.fileName, size: output.size, sha256: output.sha256 },
+    pack: { title: pack.title, uid: pack.uid, modelName: pack.modelName, packInstallId: pack.packInstallId },
+    lockMode: device ? 'locked' : 'standard',
+    device: device && { modelName: device.modelName, serial: device.serial, fullId: device.fullId, label: device.label ?? '' },
+  };
+}
+
+const MANIFEST_CSV_COLUMNS = [
+  ['created_at', m => m.createdAt],
+  ['input_file', m => m.input.fileName],
+  ['input_sha256', m => m.input.sha256],
+  ['output_file', m => m.output.fileName],
+  ['output_size', m => m.output.size],
+  ['output_sha256', m => m.output.sha256],
+  ['title', m => m.pack.title],
+  ['euid', m => m.pack.uid],
+  ['model', m => m.pack.modelName],
+  ['pack_install_id', m => m.pack.packInstallId],
+  ['lock_mode', m => m.lockMode],
+  ['serial', m => m.device?.serial ?? ''],
+  ['device_id', m => m.device?.fullId ?? ''],
+  ['device_label', m => m.device?.label ?? ''],
+  ['tool_version', m => m.tool.version],
+];
+
+/** Manifests as CSV, one row each */
+function manifestsToCSV(manifests) {
+  const rows = [MANIFEST_CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const m of manifests) rows.push(MANIFEST_CSV_COLUMNS.map(([, get]) => csvField(get(m))).join(','));
+  return rows.join('\r\n') + '\r\n';
+}
+
+// ---- Inspector ----
+
+const TEXT_TAGS = new Set(['XMDL', 'EUID', 'ETIT', 'EEXT', 'EICO']);
+
+function hexPreview(data, length = 32) {
+  return Array.from(data.subarray(0, length), b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+function inspectChunks(buf, start, end, baseOffset, diagnostics) {
+  const chunks = readChunks(buf, start, end, { strict: true, diagnostics, baseOffset });
+  return chunks.map((chunk) => {
+    const offset = baseOffset + chunk.offset;
+    const node = { id: chunk.id, offset, size: chunk.size, dataOffset: offset + 8, dataLength: chunk.data.length };
+    if (chunk.unknown) node.unknown = true;
+    if (chunk.truncated) node.truncated = true;
+
+    if (CONTAINER_TAGS.has(chunk.id)) {
+      node.children = inspectChunks(chunk.data, 0, chunk.data.length, offset + 8, diagnostics);
+    } else if (MAYBE_CONTAINER_TAGS.has(chunk.id)) {
+      const trial = [];
+      const children = inspectChunks(chunk.data, 0, chunk.data.length, offset + 8, trial);
+      if (children.length > 0 && !trial.some(d => d.type === 'unparsed')) {
+        node.children = children;
+        diagnostics.push(...trial);
+      } else {
+        node.preview = hexPreview(chunk.data);
+      }
+    } else if (TEXT_TAGS.has(chunk.id)) {
+      node.text = chunkText(chunk);
+    } else if (chunk.id === 'XPID' && chunk.data.length >= 4) {
+      node.value = readUint32BE(chunk.data, 0);
+    } else {
+      node.preview = hexPreview(chunk.data);
+    }
+    return node;
+  });
+}
+
+/**
+ * Dump the full chunk tree of a PPI, PPF or CPI file as plain JSON.
+ * Each node: { id, offset, size, dataOffset, dataLength, text | value | preview | children }
+ * Offsets are absolute file offsets; size is the declared chunk size.
+ * A CPI's encrypted payload is not walked — it is reported as encryptedPayload.
+ */
+function inspect(buf) {
+  let format = 'unknown';
+  let end = buf.length;
+  const tag = buf.length >= 8 ? readFourCC(buf, 0) : '';
+  if (tag === 'XPFH') {
+    format = 'ppf';
+  } else if (tag === 'XPIH') {
+    const xpihEnd = 8 + readUint32BE(buf, 4);
+    if (xpihEnd + 8 <= buf.length && readFourCC(buf, xpihEnd) === 'CSEC') {
+      format = 'cpi';
+      end = Math.min(xpihEnd + 8 + readUint32BE(buf, xpihEnd + 4), buf.length);
+    } else {
+      format = 'ppi';
+    }
+  }
+
+  const diagnostics = [];
+  const nodes = inspectChunks(buf, 0, end, 0, diagnostics);
+  const result = { format, size: buf.length, nodes, diagnostics };
+  if (end < buf.length) result.encryptedPayload = { offset: end, length: buf.length - end };
+  return result;
+}
+
+// ---- Self-Test ----
+
+// Published known-answer vectors for the cipher provider, plus vectors for the
+// Yamaha key handling. The locked CSEC vector was produced by the original
+// (pre-rewrite) DES engine, so it pins msbParity, keyExpansion, the 3DES AIVF
+// and the "dualseal" AIRI together.
+const SELF_TEST_VECTORS = {
+  des: [
+    // Classic worked example (Stallings / Grabbe)
+    { key: '133457799bbcdff1', plain: '0123456789abcdef', cipher: '85e813540f0ab405' },
+    // FIPS 81, ECB
+    { key: '0123456789abcdef', plain: '4e6f772069732074', cipher: '3fa40e8a984d4815' },
+  ],
+  // FIPS 81, CBC: "Now is the time for all "
+  desCbc: {
+    key: '0123456789abcdef', iv: '1234567890abcdef',
+    plain: '4e6f77206973207468652074696d6520666f7220616c6c20',
+    cipher: 'e5c7cdde872bf27c43e934008c389c0f683788499a7c05f6',
+  },
+  // NIST SP 800-67, 3DES-EDE ECB: "The qufck brown fox jump"
+  tripleDes: {
+    key: '0123456789abcdef23456789abcdef01456789abcdef0123',
+    plain: '54686520717566636b2062726f776e20666f78206a756d70',
+    cipher: 'a826fd8ce53b855fcce21c8112256fe668d5c05dd9b6b900',
+  },
+  keyDerivation: [
+    { name: 'short input (under 16 bytes)', input: 'SN1', output: '534e316a9f4194ba2bd6636dc5a67af0' },
+    { name: 'long input (16 bytes or more)', input: 'ABCDEF0123456789XYZ', output: '191b1944454630313233343536373839' },
+  ],
+  lockedCSEC: {
+    fullId: 'ABCDEF0123456789',
+    firstData: '00112233445566778899aabbccddeeff',
+    csec: '5a517c405f447c02903bcc5e1d69dcf8522fe875d0ed7f9731b09780791a530b'
+      + 'b5623edfc9834edc7b9d7be657b2b4d798f34dcccb1dc1b6f7bfeb4e0f118e9b'
+      + 'aacaa25d575a504350b1e9da57f8e397',
+  },
+};
+
+function fromHex(hex) {
+  return new Uint8Array(hex.match(/../g).map(b => parseInt(b, 16)));
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** ECB through a provider: each block as CBC with a zero IV */
+function ecbBlocks(data, encryptBlock) {
+  for (let i = 0; i < data.length; i += 8) encryptBlock(data.subarray(i, i + 8));
+  return data;
+}
+
+/**
+ * Run the crypto known-answer tests, so a broken engine (or a misbehaving
+ * browser JIT) shows up as a failed check instead of a CPI the instrument rejects.
+ * options.cipher: provider to test (default jsCipher).
+ * Returns { ok, cipher, results: [{ name, ok, expected, actual }] }; never throws.
+ */
+function selfTest(options = {}) {
+  const { cipher = jsCipher } = options;
+  const v = SELF_TEST_VECTORS;
+  const checks = [
+    ...v.des.map(({ key, plain, cipher: expected }) => [
+      `DES ${key}`, expected, () => cipher.desCbc(fromHex(plain), fromHex(key), DES_IV),
+    ]),
+    ['DES-CBC (FIPS 81)', v.desCbc.cipher, () => cipher.desCbc(fromHex(v.desCbc.plain), fromHex(v.desCbc.key), fromHex(v.desCbc.iv))],
+    ['3DES-EDE (SP 800-67)', v.tripleDes.cipher, () => ecbBlocks(fromHex(v.tripleDes.plain), block => cipher.tripleDesCbc(block, fromHex(v.tripleDes.key), DES_IV))],
+    ...v.keyDerivation.map(({ name, input, output }) => [`keyDerivation — ${name}`, output, () => keyDerivation(input)]),
+    ['locked CSEC', v.lockedCSEC.csec, () => generateLockedCSEC(v.lockedCSEC.fullId, { firstData: fromHex(v.lockedCSEC.firstData), cipher })],
+  ];
+
+  const results = checks.map(([name, expected, run]) => {
+    let actual;
+    try {
+      actual = toHex(run());
+    } catch (err) {
+      actual = `${err.name}: ${err.message}`;
+    }
+    return { name, ok: actual === expected, expected, actual };
+  });
+  return { ok: results.every(r => r.ok), cipher: cipher.name, results };
 }
 
 // ---- Utility ----
@@ -706,9 +1882,21 @@ function buildCPIFromPPI(ppiData, deviceFullId) {
 function formatFileSize(bytes) {
   if (bytes < 1024) return `${bytes} B`;
   if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
 }
 
 // ---- Public API ----
 
-window.PpiCpiConverter = { parseN27, parsePPFRaw, parsePPI, buildEncryptedCPI, buildCPIFromPPI, formatFileSize, generateLockedCSEC, keyDerivation };
+const PpiCpiConverter = { parseN27, validateDeviceInfo, parsePPFRaw, parsePPI, buildPPI, generateEUID, packItemFromFile, buildEncryptedCPI, buildCPIFromPPI, streamEncryptedCPI, streamCPIFromPPI, buildBatchZip, streamBatchZip, planBatch, batchIndexCSV, zipBatchParts, applyBlobEdits, retargetPPI, ppiToPPF, mergePacks, splitPack, diffPacks, validatePack, getModelInfo, listModels, inspect, formatFileSize, generateLockedCSEC, keyDerivation, selfTest, describeFile, buildManifest, manifestFileName, manifestsToCSV, ChunkTree };
+
+if (typeof window !== 'undefined') window.PpiCpiConverter = PpiCpiConverter;
+
+export {
+  PpiCpiConverter,
+  ConverterError, N27Error, parseN27, validateDeviceInfo, parsePPFRaw, parsePPI, buildPPI, generateEUID, packItemFromFile, buildEncryptedCPI, buildCPIFromPPI, streamEncryptedCPI, streamCPIFromPPI, buildBatchZip, streamBatchZip, planBatch, batchIndexCSV, zipBatchParts, applyBlobEdits, retargetPPI, ppiToPPF, mergePacks, splitPack, diffPacks, validatePack, getModelInfo, listModels, inspect, formatFileSize, generateLockedCSEC, keyDerivation, selfTest,
+  describeFile, buildManifest, manifestFileName, manifestsToCSV, TOOL_VERSION,
+  jsCipher, seededRandom,
+  readChunks, readSubChunks, chunkText,
+  ChunkTree, leafNode, textNode, containerNode,
+};
@@ -0,0 +1,599 @@
+// ============================================================
+// converter.js tests: node --test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import {
+  selfTest, jsCipher, seededRandom, keyDerivation, buildPPI, parsePPI, buildCPIFromPPI, streamCPIFromPPI, applyBlobEdits,
+  buildEncryptedCPI, retargetPPI, generateLockedCSEC, packItemFromFile,
+  describeFile, buildManifest, manifestsToCSV, TOOL_VERSION, parseN27, ConverterError, N27Error,
+  readChunks, ChunkTree, textNode, leafNode, containerNode, chunkText, ppiToPPF, parsePPFRaw,
+  mergePacks, splitPack, diffPacks,
+} from './converter.js';
+import { MESSAGES, setLanguage, t } from './messages.js';
+import { nodeCipher } from './node-cipher.js';
+import { createSha256 } from './sha256.js';
+import { getModelInfo, listModels } from './models.js';
+import { validatePack } from './validate.js';
+import { parseDeviceExport, serializeDevices } from './device-registry.js';
+
+for (const cipher of [jsCipher, nodeCipher]) {
+  test(`selfTest passes with the ${cipher.name} cipher`, () => {
+    const report = selfTest({ cipher });
+    for (const r of report.results) assert.equal(r.actual, r.expected, r.name);
+    assert.equal(report.ok, true);
+  });
+}
+
+test('selfTest reports a broken cipher instead of throwing', () => {
+  const broken = { name: 'broken', desCbc: data => data, tripleDesCbc: () => { throw new Error('boom'); } };
+  const report = selfTest({ cipher: broken });
+  assert.equal(report.ok, false);
+  assert.equal(report.cipher, 'broken');
+  assert.ok(report.results.some(r => r.actual === 'Error: boom'));
+});
+
+test('keyDerivation caps input at 128 bytes and rejects empty input', () => {
+  const long = new Uint8Array(150).map((_, i) => i + 1);
+  assert.deepEqual(keyDerivation(long), keyDerivation(long.subarray(0, 128)));
+  assert.equal(keyDerivation(''), null);
+});
+
+// Built with the original per-block DES engine (firstData from a stubbed getRandomValues)
+const GOLDEN_PACK = {
+  uid: 'GOLDEN-UID', title: 'Golden',
+  blobs: [{ uid: 'B1', title: 'Style', extension: 'sty', iconCode: null, binaryData: new Uint8Array(5000).map((_, i) => i * 31) }],
+};
+const GOLDEN_FIRST_DATA = Uint8Array.from({ length: 16 }, (_, i) => i);
+const GOLDEN_LOCKED_SHA256 = 'b36d08150aff9e96b8c83865cd6850c20377491f25d83e58aca1beac5183ef69';
+const GOLDEN_STANDARD_SHA256 = '8efbe501687ce8fb523b9e322b1fc8a5c09c6ad355dedd4b15ae909ab1769579';
+
+test('the DES engine builds the same CPIs as the original implementation', () => {
+  const sha256 = data => createHash('sha256').update(data).digest('hex');
+  const locked = buildEncryptedCPI(GOLDEN_PACK, 'Genos', 1, 'ABCDEF0123456789', { firstData: GOLDEN_FIRST_DATA });
+  assert.equal(locked.length, 5210);
+  assert.equal(sha256(locked), GOLDEN_LOCKED_SHA256);
+  assert.equal(sha256(buildEncryptedCPI(GOLDEN_PACK, 'Genos', 1, null)), GOLDEN_STANDARD_SHA256);
+  assert.equal(sha256(buildCPIFromPPI(parsePPI(buildPPI(GOLDEN_PACK, 'Genos', 1)), null)), GOLDEN_STANDARD_SHA256);
+});
+
+test('the JS and Node ciphers build identical CPIs', () => {
+  const payload = new Uint8Array(3 * 1024 * 1024 + 5).map((_, i) => i * 31);
+  const ppi = parsePPI(buildPPI({ uid: 'UID', title: 'T', blobs: [] }, 'Genos', 1));
+  const ppiData = { ...ppi, payloadRaw: payload };
+  const js = buildCPIFromPPI(ppiData, 'ABCDEF0123456789', { rng: seededRandom(1) });
+  const node = buildCPIFromPPI(ppiData, 'ABCDEF0123456789', { rng: seededRandom(1), cipher: nodeCipher });
+  assert.deepEqual(node, js);
+});
+
+test('builds run every DES and 3DES operation through the given cipher provider', () => {
+  const calls = { desCbc: 0, tripleDesCbc: 0 };
+  const recording = {
+    name: 'recording',
+    desCbc(data, key, iv, onProgress) {
+      calls.desCbc++;
+      assert.equal(key.length, 8);
+      return jsCipher.desCbc(data, key, iv, onProgress);
+    },
+    tripleDesCbc(data, key24, iv) {
+      calls.tripleDesCbc++;
+      assert.equal(key24.length, 24);
+      return jsCipher.tripleDesCbc(data, key24, iv);
+    },
+  };
+  const options = { firstData: GOLDEN_FIRST_DATA };
+  const cpi = buildEncryptedCPI(GOLDEN_PACK, 'Genos', 1, 'ABCDEF0123456789', { ...options, cipher: recording });
+  // AIRI, the CSEC and the payload; AIVF
+  assert.deepEqual(calls, { desCbc: 3, tripleDesCbc: 1 });
+  assert.deepEqual(cpi, buildEncryptedCPI(GOLDEN_PACK, 'Genos', 1, 'ABCDEF0123456789', options));
+  assert.deepEqual(generateLockedCSEC('ABCDEF0123456789', { ...options, cipher: nodeCipher }), generateLockedCSEC('ABCDEF0123456789', options));
+});
+
+test('locked CSECs take firstData from options.firstData or options.rng', () => {
+  const fromRng = generateLockedCSEC('ABCDEF0123456789', { rng: seededRandom(9) });
+  const firstData = seededRandom(9)(new Uint8Array(16));
+  assert.deepEqual(generateLockedCSEC('ABCDEF0123456789', { firstData, rng: seededRandom(1) }), fromRng);
+  assert.notDeepEqual(generateLockedCSEC('ABCDEF0123456789'), generateLockedCSEC('ABCDEF0123456789'));
+  assert.throws(() => generateLockedCSEC('ABCDEF0123456789', { firstData: new Uint8Array(8) }), err => err.code === 'E_BAD_FIRST_DATA');
+});
+
+test('seeded builds are reproducible and match their streamed form', () => {
+  const ppi = parsePPI(buildPPI({ uid: 'UID', title: 'T', blobs: [] }, 'Genos', 1));
+  const first = buildCPIFromPPI(ppi, 'ABCDEF0123456789', { rng: seededRandom(7) });
+  const again = buildCPIFromPPI(ppi, 'ABCDEF0123456789', { rng: seededRandom(7) });
+  const other = buildCPIFromPPI(ppi, 'ABCDEF0123456789', { rng: seededRandom(8) });
+  assert.deepEqual(again, first);
+  assert.notDeepEqual(other, first);
+
+  const segments = [...streamCPIFromPPI(ppi, 'ABCDEF0123456789', { rng: seededRandom(7) })];
+  assert.deepEqual(Buffer.concat(segments), Buffer.from(first));
+});
+
+test('CPIs stream from views of the PPI in chained segments that match the assembled CPI', () => {
+  const segmentSize = 4 * 1024 * 1024;
+  const item = { uid: 'BIG', title: 'Big', extension: 'sty', iconCode: null, binaryData: new Uint8Array(2 * segmentSize + 5).map((_, i) => i * 13) };
+  const ppi = buildPPI({ uid: 'UID', title: 'T', blobs: [item] }, 'Genos', 1);
+  const ppiData = parsePPI(ppi);
+  assert.equal(ppiData.xpihChunk.buffer, ppi.buffer);
+  assert.equal(ppiData.payloadRaw.buffer, ppi.buffer);
+
+  const progress = [];
+  const onProgress = (done, total) => progress.push([done, total]);
+  const segments = [...streamCPIFromPPI(ppiData, 'ABCDEF0123456789', { rng: seededRandom(5), cipher: nodeCipher, onProgress })];
+  const [xpih, csec, ...payload] = segments;
+  assert.deepEqual(xpih, ppiData.xpihChunk);
+  assert.equal(csec.length, 88);
+  assert.deepEqual(payload.map(s => s.length), [segmentSize, segmentSize, ppiData.payloadRaw.length - 2 * segmentSize + 8 - ppiData.payloadRaw.length % 8]);
+  assert.equal(new Set(segments.map(s => s.buffer)).size, segments.length);
+
+  const assembled = buildCPIFromPPI(ppiData, 'ABCDEF0123456789', { rng: seededRandom(5), cipher: nodeCipher });
+  assert.deepEqual(Buffer.concat(segments), Buffer.from(assembled));
+  const total = assembled.length - xpih.length - csec.length;
+  assert.deepEqual(progress.at(-1), [total, total]);
+  assert.ok(progress.every(([done], i) => i === 0 || done >= progress[i - 1][0]));
+});
+
+test('incremental SHA-256 matches node:crypto across block boundaries', () => {
+  for (const length of [0, 1, 55, 56, 63, 64, 65, 119, 120, 1000]) {
+    const data = new Uint8Array(length).map((_, i) => i * 7 + length);
+    const hash = createSha256();
+    for (let i = 0; i < length; i += 13) hash.update(data.subarray(i, i + 13));
+    assert.equal(hash.hex(), createHash('sha256').update(data).digest('hex'), `length ${length}`);
+  }
+});
+
+test('manifest records hashes and the tool version from package.json', async () => {
+  const pkg = JSON.parse(await readFile(new URL('./package.json', import.meta.url), 'utf8'));
+  const ppi = buildPPI({ uid: 'UID', title: 'T, "quoted"', blobs: [] }, 'Genos', 2);
+  const cpi = buildCPIFromPPI(parsePPI(ppi), null);
+  const manifest = buildManifest({
+    input: describeFile('in.ppi', ppi),
+    output: describeFile('out.cpi', cpi),
+    pack: parsePPI(ppi),
+    createdAt: new Date(0),
+  });
+  assert.equal(TOOL_VERSION, pkg.version);
+  assert.equal(manifest.tool.version, pkg.version);
+  assert.equal(manifest.output.sha256, createHash('sha256').update(cpi).digest('hex'));
+  assert.equal(manifest.lockMode, 'standard');
+  assert.equal(manifest.device, null);
+
+  const [header, row] = manifestsToCSV([manifest]).split('\r\n');
+  assert.ok(header.startsWith('created_at,input_file,input_sha256'));
+  assert.ok(row.includes(',"T, ""quoted""",UID,Genos,2,standard,'));
+});
+
+test('every catalog entry exists in both languages', () => {
+  const { he, en } = MESSAGES;
+  assert.deepEqual(Object.keys(en).sort(), Object.keys(he).sort());
+  for (const key of Object.keys(he)) assert.equal(typeof en[key], typeof he[key], key);
+});
+
+test('errors carry a stable code and a message in the active language', () => {
+  try {
+    setLanguage('en');
+    assert.throws(() => parsePPI(new Uint8Array(16)), err => err instanceof ConverterError
+      && err.code === 'E_NO_XPIH' && err.message === 'Invalid PPI file — missing XPIH header');
+
+    const n27 = new Uint8Array(120);
+    n27.set(new TextEncoder().encode('Genos'), 0);
+    n27.set(new TextEncoder().encode('SN 1'), 64);
+    n27.set(new TextEncoder().encode('ABCDEF0123456789'), 88);
+    assert.throws(() => parseN27(n27), err => err instanceof N27Error && err.code === 'E_N27_BAD_FIELD'
+      && err.field === 'serial' && err.message.includes('no spaces')
+      && t(err.code, err.params, 'he').includes('ללא רווחים'));
+  } finally {
+    setLanguage('he');
+  }
+});
+
+/** An N27 file; fields are NUL-padded at offsets 0, 64 and 88 */
+function n27File({ modelName = 'Genos', serial = 'SN123456', fullId = 'ABCDEF0123456789', size = 120 } = {}) {
+  const n27 = new Uint8Array(size);
+  n27.set(new TextEncoder().encode(modelName), 0);
+  n27.set(new TextEncoder().encode(serial), 64);
+  n27.set(new TextEncoder().encode(fullId), 88);
+  return n27;
+}
+
+test('parseN27 reads device info and rejects files that are not device info', () => {
+  const withExtra = n27File({ modelName: 'PSR-SX900', size: 140 });
+  withExtra.set(new TextEncoder().encode('FW 1.10'), 124);
+  const info = parseN27(withExtra);
+  assert.deepEqual([info.modelName, info.serial, info.fullId, info.family, info.size], ['PSR-SX900', 'SN123456', 'ABCDEF0123456789', 'PSR-SX', 140]);
+  assert.equal(parseN27(n27File({ modelName: 'CVP-809' })).family, null);
+  assert.deepEqual(info.extra, [{ offset: 124, value: 'FW 1.10' }]);
+  assert.deepEqual(info.warnings, []);
+
+  const dirty = n27File();
+  dirty[110] = 0x41;   // after the ID's NUL terminator
+  assert.equal(parseN27(dirty).warnings.length, 1);
+
+  const binary = n27File();
+  binary[66] = 0x07;
+  const rejects = (buf, code, params = {}) => assert.throws(() => parseN27(buf), err => err instanceof N27Error
+    && err.code === code && Object.entries(params).every(([key, value]) => err[key] === value), code);
+  rejects(n27File().subarray(0, 60), 'E_N27_TOO_SHORT', { size: 60, required: 120 });
+  rejects(new Uint8Array(5000), 'E_N27_TOO_LARGE', { size: 5000 });
+  rejects(buildPPI({ uid: 'U', title: 'T', blobs: [] }, 'Genos', 1), 'E_N27_NOT_DEVICE_INFO', { tag: 'XPIH' });
+  rejects(binary, 'E_N27_NOT_DEVICE_INFO', { field: 'serial' });
+  rejects(n27File({ fullId: '' }), 'E_N27_BAD_FIELD', { field: 'fullId' });
+  rejects(n27File({ fullId: 'ABC\u00e9' }), 'E_N27_NOT_DEVICE_INFO', { field: 'fullId' });
+});
+
+test('packItemFromFile takes the title and EEXT from the file name and gives each item a fresh EUID', () => {
+  const data = new Uint8Array([1, 2, 3]);
+  const item = packItemFromFile('C:\\Styles\\My.Style.sty', data, 'S042');
+  assert.deepEqual([item.title, item.extension, item.iconCode, item.binaryData], ['My.Style', 'sty', 'S042', data]);
+  assert.match(item.uid, /^[0-9A-F]{8}-[0-9A-F]{4}-4[0-9A-F]{3}-[89AB][0-9A-F]{3}-[0-9A-F]{12}$/);
+  assert.notEqual(packItemFromFile('My.Style.sty', data).uid, item.uid);
+  const fromName = name => {
+    const { title, extension, iconCode } = packItemFromFile(name, data);
+    return [title, extension, iconCode];
+  };
+  assert.deepEqual(['songs/Intro.MID', 'README', '.hidden'].map(fromName), [['Intro', 'MID', null], ['README', '', null], ['.hidden', '', null]]);
+
+  // Items the file name or content makes unusable are rejected by validatePack, not here
+  const blobs = [packItemFromFile('README', data), packItemFromFile('empty.pad', new Uint8Array(0))];
+  const report = validatePack({ uid: 'UID', title: 'T', blobs, modelName: 'Genos', packInstallId: 1 }, null);
+  assert.deepEqual(report.errors.map(e => [e.code, e.blob]), [['EMPTY_FBIN', 1]]);
+  assert.deepEqual(report.warnings.map(w => [w.code, w.blob]), [['UNSUPPORTED_EEXT', 0]]);
+});
+
+test('parseDeviceExport reads a registry export and rejects files that are not one', () => {
+  const device = { modelName: 'Genos', serial: 'SN123456', fullId: 'ABCDEF0123456789', label: ' Stage ', note: 'left', addedAt: '2024-01-01T00:00:00.000Z' };
+  const { devices, errors } = parseDeviceExport(serializeDevices([device]));
+  assert.deepEqual(devices, [{ ...device, label: 'Stage' }]);
+  assert.deepEqual(errors, []);
+
+  const exported = JSON.parse(serializeDevices([device]));
+  exported.devices.push({ ...device, fullId: 'HAS SPACE' }, { modelName: 'Genos' });
+  const partial = parseDeviceExport(JSON.stringify(exported));
+  assert.equal(partial.devices.length, 1);
+  assert.deepEqual(partial.errors.map(e => e.index), [1, 2]);
+  assert.ok(partial.errors.every(e => e.message));
+
+  const rejects = (text, code) => assert.throws(() => parseDeviceExport(text), err => err instanceof ConverterError && err.code === code, code);
+  rejects('{ "format": ', 'E_NOT_JSON');
+  rejects('null', 'E_NOT_DEVICE_EXPORT');
+  rejects(JSON.stringify({ ...exported, format: 'other' }), 'E_NOT_DEVICE_EXPORT');
+  rejects(JSON.stringify({ ...exported, devices: {} }), 'E_NOT_DEVICE_EXPORT');
+  rejects(JSON.stringify({ ...exported, version: 2 }), 'E_EXPORT_VERSION');
+  assert.throws(() => serializeDevices([{ ...device, serial: '' }]), err => err.code === 'E_BAD_DEVICE');
+});
+
+test('retargetPPI rebuilds the XPIH for another model or slot and round-trips back', () => {
+  const pack = { uid: 'UID', title: 'T', blobs: [{ uid: 'B1', title: 'Style', extension: 'sty', iconCode: null, binaryData: new Uint8Array(9).fill(4) }] };
+  const ppi = buildPPI(pack, 'Genos', 1);
+  const ppiData = parsePPI(ppi);
+  const serialize = data => new Uint8Array(Buffer.concat([data.xpihChunk, data.payloadRaw]));
+  assert.equal(retargetPPI(ppiData).xpihChunk, ppiData.xpihChunk);
+
+  const moved = retargetPPI(ppiData, { modelName: 'Tyros5', packInstallId: 3 });
+  assert.deepEqual(serialize(moved), buildPPI(pack, 'Tyros5', 3));
+  const reparsed = parsePPI(serialize(moved));
+  assert.deepEqual([reparsed.modelName, reparsed.packInstallId, reparsed.uid], ['Tyros5', 3, 'UID']);
+  assert.deepEqual(serialize(retargetPPI(reparsed, { modelName: 'Genos', packInstallId: 1 })), ppi);
+  assert.deepEqual(buildCPIFromPPI(ppiData, null, { modelName: 'Tyros5', packInstallId: 3 }), buildEncryptedCPI(pack, 'Tyros5', 3, null));
+
+  const renamed = retargetPPI(ppiData, { regenerateUid: true, rng: seededRandom(2) });
+  assert.notEqual(renamed.uid, 'UID');
+  assert.equal(retargetPPI(ppiData, { regenerateUid: true, rng: seededRandom(2) }).uid, renamed.uid);
+  const renamedData = parsePPI(serialize(renamed));
+  assert.equal(renamedData.uid, renamed.uid);
+  assert.deepEqual(renamedData.blobs, ppiData.blobs);
+
+  assert.throws(() => retargetPPI(ppiData, { packInstallId: -1 }), err => err.code === 'E_BAD_PACK_ID');
+});
+
+/** A hand-built chunk: FourCC, big-endian size, then the data */
+function rawChunk(id, data, size = data.length) {
+  return [...Buffer.from(id, 'latin1'), size >>> 24, (size >>> 16) & 0xFF, (size >>> 8) & 0xFF, size & 0xFF, ...data];
+}
+
+test('readChunks resyncs over garbage leniently and stops at the first bad tag strictly', () => {
+  const garbage = [0x00, 0xFF, 0x13];
+  const buf = new Uint8Array([...rawChunk('EUID', [0x41]), ...garbage, ...rawChunk('ETIT', [0x42, 0x43])]);
+
+  const lenient = [];
+  const chunks = readChunks(buf, 0, undefined, { diagnostics: lenient, baseOffset: 100 });
+  assert.deepEqual(chunks.map(c => [c.id, c.offset, [...c.data]]), [['EUID', 0, [0x41]], ['ETIT', 12, [0x42, 0x43]]]);
+  assert.deepEqual(lenient, [{ type: 'skipped', offset: 109, length: 3 }]);
+
+  const strict = [];
+  assert.deepEqual(readChunks(buf, 0, undefined, { strict: true, diagnostics: strict, baseOffset: 100 }).map(c => c.id), ['EUID']);
+  assert.deepEqual(strict, [{ type: 'unparsed', offset: 109, length: 13 }]);
+});
+
+test('readChunks keeps unknown tags only in strict mode', () => {
+  const buf = new Uint8Array([...rawChunk('ZZZZ', [1, 2]), ...rawChunk('EUID', [0x41])]);
+
+  const strict = [];
+  const chunks = readChunks(buf, 0, undefined, { strict: true, diagnostics: strict });
+  assert.deepEqual(chunks.map(c => [c.id, c.unknown ?? false]), [['ZZZZ', true], ['EUID', false]]);
+  assert.deepEqual(strict, [{ type: 'unknown', offset: 0, id: 'ZZZZ', size: 2 }]);
+
+  const lenient = [];
+  assert.deepEqual(readChunks(buf, 0, undefined, { diagnostics: lenient }).map(c => c.id), ['EUID']);
+  assert.deepEqual(lenient, [{ type: 'skipped', offset: 0, length: 10 }]);
+});
+
+test('readChunks clamps truncated chunks and reports trailing bytes in both modes', () => {
+  const truncated = new Uint8Array([...rawChunk('EUID', [0x41]), ...rawChunk('FBIN', [1, 2, 3], 10)]);
+  const trailing = new Uint8Array([...rawChunk('EUID', [0x41]), 0x45, 0x55, 0x49]);
+
+  for (const strict of [false, true]) {
+    const diagnostics = [];
+    const [, fbin] = readChunks(truncated, 0, undefined, { strict, diagnostics });
+    assert.deepEqual([fbin.size, fbin.truncated, [...fbin.data]], [10, true, [1, 2, 3]]);
+    assert.deepEqual(diagnostics, [{ type: 'truncated', offset: 9, id: 'FBIN', expectedSize: 10, actualSize: 3 }]);
+
+    const tail = [];
+    assert.equal(readChunks(trailing, 0, undefined, { strict, diagnostics: tail }).length, 1);
+    assert.deepEqual(tail, [{ type: 'trailing', offset: 9, length: 3 }]);
+  }
+
+  assert.deepEqual(readChunks(truncated, 0, 9).map(c => c.id), ['EUID']);
+  assert.deepEqual(readChunks(new Uint8Array(0), 0), []);
+});
+
+test('ChunkTree round-trips PPIs, CPIs, unknown chunks and padding byte for byte', () => {
+  const item = { uid: 'ITEM-1', title: 'Piano', extension: 'T01', iconCode: null, binaryData: new Uint8Array([1, 2, 3]) };
+  const ppi = buildPPI({ uid: 'UID', title: 'T', blobs: [item] }, 'Genos', 1);
+  const tree = ChunkTree.parse(ppi);
+  tree.insert(tree, leafNode('ZZZZ', new Uint8Array([9, 9])));
+  tree.insert(tree.find('BLOB'), containerNode('PACK', [textNode('ETIT', 'nested')], new Uint8Array(3)));
+  tree.trailing = new Uint8Array(5);
+  const edited = tree.serialize();
+
+  const truncated = edited.slice(0, edited.length - 12);
+  const cpi = buildCPIFromPPI(parsePPI(ppi), 'ABCDEF0123456789', { rng: seededRandom(3) });
+  for (const buf of [ppi, edited, truncated, cpi]) assert.deepEqual(ChunkTree.parse(buf).serialize(), buf);
+  assert.equal(ChunkTree.parse(cpi).find('CSEC').data.length, 80);
+});
+
+test('ChunkTree find, replace, insert and remove edit the serialized pack', () => {
+  const items = ['A', 'B'].map(uid => ({ uid, title: uid, extension: 'T01', iconCode: null, binaryData: new Uint8Array(4) }));
+  const tree = ChunkTree.parse(buildPPI({ uid: 'UID', title: 'Old', blobs: items }, 'Genos', 1));
+  assert.equal(chunkText(tree.find('XPIH/XMDL')), 'Genos');
+
+  tree.replace(tree.find('ETIT'), textNode('ETIT', 'New'));
+  const [first, second] = tree.findAll(node => node.id === 'BLOB');
+  tree.remove(first);
+  tree.insert(second, leafNode('EICO', new TextEncoder().encode('I\0')), 0);
+  const pack = parsePPI(tree.serialize());
+  assert.equal(pack.title, 'New');
+  assert.deepEqual(pack.blobs.map(b => [b.uid, b.iconCode]), [['B', 'I']]);
+
+  assert.throws(() => tree.remove(first), err => err.code === 'E_CHUNK_NOT_IN_TREE');
+});
+
+test('applyBlobEdits re-reads a strictly parsed pack strictly, keeping unknown chunks', () => {
+  const items = ['A', 'B'].map(uid => ({ uid, title: uid, extension: 'T01', iconCode: null, binaryData: new Uint8Array(4) }));
+  const tree = ChunkTree.parse(buildPPI({ uid: 'UID', title: 'T', blobs: items }, 'Genos', 1));
+  // A lenient read stops at the unknown tag, before either blob
+  tree.insert(tree, leafNode('ZZZZ', new Uint8Array([9, 9])), 3);
+  const ppiData = parsePPI(tree.serialize(), { strict: true });
+  assert.equal(ppiData.blobs.length, 2);
+
+  const edited = applyBlobEdits(ppiData, [{ include: false }, { include: true, title: 'Renamed' }], { strict: true });
+  const payload = ChunkTree.parse(edited.payloadRaw).children;
+  assert.deepEqual(payload.map(node => node.id), ['EUID', 'ETIT', 'ZZZZ', 'BLOB']);
+  const pack = parsePPI(Buffer.concat([edited.xpihChunk, edited.payloadRaw]), { strict: true });
+  assert.deepEqual(pack.blobs.map(b => [b.uid, b.title]), [['B', 'Renamed']]);
+});
+
+test('parsePPI lists the waves and voice parameters of a wave pack and sums its wave memory', () => {
+  const tree = ChunkTree.parse(buildPPI({ uid: 'UID', title: 'Waves', blobs: [packItem('1', 8)] }, 'Genos', 2));
+  const [, , title, blob] = tree.children;
+  tree.remove(title);
+  tree.replace(blob, containerNode('PACK', [title, blob, leafNode('VWDT', new Uint8Array(30).fill(0xAA))]));
+  tree.insert(tree, leafNode('VWDT', new Uint8Array([...rawChunk('WAVA', new Uint8Array(100)), ...rawChunk('WAVB', new Uint8Array(60))])));
+  tree.insert(tree, leafNode('VPRM', new Uint8Array([...rawChunk('PRM1', [1, 2, 3, 4]), ...rawChunk('PRM2', [5, 6])])));
+  const ppi = tree.serialize();
+
+  const pack = parsePPI(ppi);
+  assert.deepEqual([pack.packType, pack.title, pack.blobCount], ['wave', 'Waves', 1]);
+  // Chunk data that is not itself chunks is one wave; otherwise each sub-chunk is one
+  assert.deepEqual(pack.waves.map(w => [w.id, w.size]), [['VWDT', 30], ['WAVA', 100], ['WAVB', 60]]);
+  assert.deepEqual(pack.voiceParams.map(p => [p.id, p.size]), [['PRM1', 4], ['PRM2', 2]]);
+  for (const entry of [...pack.waves, ...pack.voiceParams]) {
+    assert.equal(Buffer.from(ppi.subarray(entry.offset, entry.offset + 4)).toString('latin1'), entry.id);
+  }
+  assert.equal(pack.waveMemoryBytes, 190);
+  assert.deepEqual(pack.diagnostics, []);
+
+  const standard = parsePPI(buildPPI({ uid: 'UID', title: 'T', blobs: [packItem('1', 8)] }, 'Genos', 2));
+  assert.deepEqual([standard.packType, standard.waves, standard.voiceParams, standard.waveMemoryBytes], ['standard', [], [], 0]);
+});
+
+test('ppiToPPF rebuilds the project from a wave pack and reports the wave data it drops', () => {
+  const item = { uid: 'ITEM-1', title: 'Pad', extension: 'VCE', iconCode: 'I1', binaryData: new Uint8Array([5, 6]) };
+  const tree = ChunkTree.parse(buildPPI({ uid: 'UID', title: 'Waves', blobs: [item] }, 'Genos', 4));
+  const [, , title, blob] = tree.children;
+  tree.remove(title);
+  tree.replace(blob, containerNode('PACK', [title, blob, leafNode('VWDT', new Uint8Array(16))]));
+  tree.insert(tree, leafNode('VPRM', new Uint8Array(4)));
+  const ppi = tree.serialize();
+
+  const { ppf, warnings } = ppiToPPF(ppi);
+  const project = parsePPFRaw(ppf, { strict: true });
+  assert.equal(project.uid, 'UID');
+  assert.equal(project.title, 'Waves');
+  assert.deepEqual(project.blobs, parsePPI(ppi).blobs);
+  assert.deepEqual(project.diagnostics, []);
+  assert.deepEqual(warnings.map(w => [w.code, w.id, w.size]), [['PPF_WAVE_DATA', 'VWDT', 16], ['PPF_WAVE_DATA', 'VPRM', 4]]);
+
+  const cpi = buildCPIFromPPI(parsePPI(ppi), null);
+  assert.throws(() => ppiToPPF(cpi), err => err.code === 'E_ENCRYPTED_PACK');
+});
+
+test('ppiToPPF reports bytes that are not chunks and refuses a pack it would export short', () => {
+  const items = ['A', 'B'].map(uid => ({ uid, title: uid, extension: 'STY', iconCode: null, binaryData: new Uint8Array(4) }));
+  const ppi = buildPPI({ uid: 'UID', title: 'T', blobs: items }, 'Genos', 1);
+  const junk = [0xFF, 0xFE, 0xFD];
+
+  const appended = ppiToPPF(new Uint8Array([...ppi, ...junk]));
+  assert.equal(appended.blobCount, 2);
+  assert.deepEqual(appended.warnings.map(w => [w.code, w.size]), [['PPF_UNPARSED_BYTES', 3]]);
+
+  const firstBlob = Buffer.from(ppi).indexOf('BLOB');
+  const inside = new Uint8Array([...ppi.subarray(0, firstBlob), ...junk, ...ppi.subarray(firstBlob)]);
+  assert.equal(parsePPI(inside).blobCount, 2);
+  assert.throws(() => ppiToPPF(inside), err => err.code === 'E_PPF_MISSING_ITEMS' && err.found === 0 && err.expected === 2);
+});
+
+const packItem = (uid, size) => ({ uid, title: `Item ${uid}`, extension: 'STY', iconCode: null, binaryData: new Uint8Array(size).fill(uid.length) });
+
+test('mergePacks combines blobs under a new EUID and reports duplicate EUIDs', () => {
+  const a = parsePPI(buildPPI({ uid: 'A', title: 'A', blobs: [packItem('1', 10), packItem('2', 20)] }, 'Genos', 3));
+  const b = parsePPFRaw(ppiToPPF(buildPPI({ uid: 'B', title: 'B', blobs: [packItem('2', 5), packItem('3', 30)] }, 'Genos', 7)).ppf);
+
+  const merged = mergePacks([a, b], { title: 'Both', rng: seededRandom(1) });
+  const pack = parsePPI(merged.ppi);
+  assert.deepEqual([pack.title, pack.uid, pack.modelName, pack.packInstallId], ['Both', merged.uid, 'Genos', 3]);
+  assert.deepEqual(pack.blobs.map(blob => blob.uid), ['1', '2', '3']);
+  assert.equal(merged.size, merged.ppi.length);
+  assert.deepEqual(merged.duplicates.map(d => [d.code, d.uid, d.usedBy]), [['MERGE_DUPLICATE_SKIPPED', '2', 'Item 2']]);
+
+  const renewed = mergePacks([a, b], { title: 'Both', renewDuplicateUids: true, rng: seededRandom(1) });
+  const [duplicate] = renewed.duplicates;
+  assert.equal(duplicate.code, 'MERGE_DUPLICATE_RENEWED');
+  assert.deepEqual(parsePPI(renewed.ppi).blobs.map(blob => blob.uid), ['1', '2', duplicate.newUid, '3']);
+
+  // A PPF project has no XPIH: model and slot both come from the first PPI
+  const tyros = parsePPI(buildPPI({ uid: 'C', title: 'C', blobs: [packItem('4', 5)] }, 'Tyros5', 2));
+  const fromPPI = mergePacks([b, tyros, a], { title: 'Mixed', rng: seededRandom(1) });
+  assert.deepEqual([fromPPI.modelName, fromPPI.packInstallId], ['Tyros5', 2]);
+});
+
+test('splitPack splits by item count or byte budget into packs with their own slots', () => {
+  const blobs = ['1', '2', '3', '4', '5'].map(uid => packItem(uid, 100));
+  const pack = parsePPI(buildPPI({ uid: 'UID', title: 'Big', blobs }, 'Genos', 2));
+
+  const byCount = splitPack(pack, { maxItems: 2, rng: seededRandom(1) });
+  assert.deepEqual(byCount.map(p => [p.title, p.packInstallId, p.blobCount]), [['Big 1/3', 2, 2], ['Big 2/3', 3, 2], ['Big 3/3', 4, 1]]);
+  assert.equal(new Set(byCount.map(p => p.uid)).size, 3);
+
+  const maxBytes = byCount[0].size;
+  const bySize = splitPack(pack, { maxBytes, rng: seededRandom(2) });
+  assert.ok(bySize.every(p => p.size <= maxBytes && p.size === p.ppi.length));
+  assert.deepEqual(bySize.flatMap(p => parsePPI(p.ppi).blobs), pack.blobs);
+  assert.throws(() => splitPack(pack, { maxBytes: 150 }), err => err.code === 'E_SPLIT_ITEM_TOO_LARGE');
+  assert.throws(() => splitPack(pack, {}), err => err.code === 'E_NO_SPLIT_LIMIT');
+  assert.throws(() => splitPack({ ...pack, packType: 'wave' }, { maxItems: 1 }), err => err.code === 'E_WAVE_PACK_UNSUPPORTED');
+});
+
+test('splitPack refuses parts that would need install slots the model does not have', () => {
+  const blobs = ['1', '2', '3', '4', '5'].map(uid => packItem(uid, 100));
+  const pack = parsePPI(buildPPI({ uid: 'UID', title: 'Big', blobs }, 'Genos', 4));
+
+  assert.deepEqual(splitPack(pack, { maxItems: 1, rng: seededRandom(1) }).map(p => p.packInstallId), [4, 5, 6, 7, 8]);
+  assert.throws(() => splitPack(pack, { maxItems: 1, packInstallId: 5 }), err => err.code === 'E_SPLIT_TOO_MANY_PARTS'
+    && err.parts === 5 && err.lastSlot === 9 && err.maxSlot === 8);
+  assert.throws(() => splitPack(pack, { maxItems: 2, modelName: 'PSR-SX700' }), err => err.code === 'E_SPLIT_TOO_MANY_PARTS'
+    && err.lastSlot === 6 && err.maxSlot === 4);
+  assert.throws(() => splitPack(pack, { maxItems: 1, modelName: 'PSR-X1', packInstallId: 13 }), err => err.code === 'E_SPLIT_TOO_MANY_PARTS'
+    && err.maxSlot === 16);
+});
+
+test('diffPacks matches blobs by EUID and reports header, item and content changes', () => {
+  const old = parsePPI(buildPPI({ uid: 'P', title: 'v1', blobs: [packItem('1', 10), packItem('2', 20), packItem('3', 30)] }, 'Genos', 1));
+  const renamed = { ...packItem('1', 10), title: 'New name' };
+  const grown = { ...packItem('2', 25) };
+  const update = parsePPI(buildPPI({ uid: 'P', title: 'v2', blobs: [packItem('4', 5), grown, renamed] }, 'Genos', 2));
+
+  const diff = diffPacks(old, update);
+  assert.equal(diff.identical, false);
+  assert.deepEqual(diff.header, [{ field: 'packInstallId', before: 1, after: 2 }, { field: 'title', before: 'v1', after: 'v2' }]);
+  assert.deepEqual(diff.added.map(i => i.uid), ['4']);
+  assert.deepEqual(diff.removed.map(i => [i.uid, i.size]), [['3', 30]]);
+  assert.deepEqual(diff.renamed, [{ uid: '1', before: 'Item 1', after: 'New name' }]);
+  const [change] = diff.changed;
+  assert.deepEqual([change.uid, change.sizeDelta], ['2', 5]);
+  assert.equal(change.sha256After, createHash('sha256').update(grown.binaryData).digest('hex'));
+  assert.equal(diff.unchanged, 0);
+
+  const project = parsePPFRaw(ppiToPPF(buildPPI({ uid: 'P', title: 'v1', blobs: old.blobs }, 'Genos', 1)).ppf);
+  assert.deepEqual(diffPacks(old, old), { identical: true, header: [], added: [], removed: [], renamed: [], changed: [], unchanged: 3 });
+  assert.deepEqual(diffPacks(old, project).header.map(h => [h.field, h.after]), [['modelName', null], ['packInstallId', null]]);
+});
+
+test('getModelInfo matches models exactly or ignoring case, spaces and dashes', () => {
+  const sx900 = getModelInfo('PSR-SX900');
+  assert.deepEqual([sx900.name, sx900.expansionMemoryBytes, sx900.installSlots], ['PSR-SX900', 1000 * 1024 * 1024, 8]);
+  assert.ok(sx900.extensions.has('plf'));
+  assert.equal(getModelInfo('psr sx900').name, 'PSR-SX900');
+  assert.equal(getModelInfo('PSR_SX900').name, 'PSR-SX900');
+  assert.equal(getModelInfo('PSR-SX600').extensions.has('plf'), false);
+  assert.equal(getModelInfo('PSR-X1'), null);
+  assert.equal(getModelInfo(''), null);
+  assert.ok(listModels().includes('Genos2'));
+  assert.ok(listModels().every(name => getModelInfo(name).name === name));
+});
+
+test('validatePack checks slot, wave memory and extensions against the registry', () => {
+  const fits = parsePPI(buildPPI({ uid: 'UID', title: 'T', blobs: [packItem('1', 10)] }, 'PSR-SX600', 4));
+  assert.deepEqual(validatePack(fits, null), { ok: true, errors: [], warnings: [] });
+
+  const tooBig = { ...fits, packInstallId: 5, waveMemoryBytes: 160 * 1024 * 1024 + 1 };
+  tooBig.blobs = [{ ...fits.blobs[0], extension: 'plf' }];
+  const report = validatePack(tooBig, null);
+  assert.deepEqual(report.errors.map(e => e.code), ['SLOT_UNAVAILABLE', 'WAVE_MEMORY_EXCEEDED']);
+  assert.deepEqual(report.warnings.map(w => w.code), ['UNSUPPORTED_EEXT']);
+  assert.equal(report.errors[0].installSlots, 4);
+
+  const unknown = validatePack({ ...tooBig, modelName: 'PSR-X1' }, null);
+  assert.deepEqual(unknown.errors, []);
+  assert.deepEqual(unknown.warnings.map(w => w.code), ['UNKNOWN_MODEL']);
+});
+
+// One pack per issue code: a clean Genos pack with a single change
+const validPack = () => parsePPI(buildPPI({ uid: 'UID', title: 'T', blobs: [packItem('1', 10), packItem('2', 10)] }, 'Genos', 1));
+const ISSUE_CASES = [
+  ['MODEL_MISMATCH', 'errors', pack => [pack, parseN27(n27File({ modelName: 'PSR-SX900' }))], { packModel: 'Genos', deviceModel: 'PSR-SX900' }],
+  ['SLOT_UNAVAILABLE', 'errors', pack => [{ ...pack, packInstallId: 9 }], { packInstallId: 9, installSlots: 8, modelName: 'Genos' }],
+  ['PACK_ID_RANGE', 'errors', pack => [{ ...pack, packInstallId: 0 }], { packInstallId: 0, min: 1, max: 16 }],
+  ['WAVE_MEMORY_EXCEEDED', 'errors', pack => [{ ...pack, waveMemoryBytes: 1800 * 1024 * 1024 + 1 }], { available: 1800 * 1024 * 1024 }],
+  ['EMPTY_EUID', 'errors', pack => [{ ...pack, blobs: [pack.blobs[0], { ...pack.blobs[1], uid: '' }] }], { blob: 1, title: 'Item 2' }],
+  ['DUPLICATE_EUID', 'errors', pack => [{ ...pack, blobs: [pack.blobs[0], { ...pack.blobs[1], uid: '1' }] }], { blob: 1, uid: '1', usedBy: 'Item 1' }],
+  ['EMPTY_FBIN', 'errors', pack => [{ ...pack, blobs: [pack.blobs[0], { ...pack.blobs[1], binaryData: new Uint8Array(0) }] }], { blob: 1 }],
+  ['UNSUPPORTED_EEXT', 'warnings', pack => [{ ...pack, modelName: 'PSR-SX600', blobs: [{ ...pack.blobs[0], extension: 'PLF' }] }], { blob: 0, extension: 'PLF', modelName: 'PSR-SX600' }],
+  ['MISSING_ETIT', 'warnings', pack => [{ ...pack, blobs: [{ ...pack.blobs[0], title: '' }] }], { blob: 0 }],
+];
+
+test('validatePack passes a pack that fits its model', () => {
+  assert.deepEqual(validatePack(validPack(), parseN27(n27File())), { ok: true, errors: [], warnings: [] });
+});
+
+for (const [code, list, change, params] of ISSUE_CASES) {
+  test(`validatePack reports ${code}`, () => {
+    const report = validatePack(...change(validPack()));
+    assert.deepEqual([...report.errors, ...report.warnings].map(i => i.code), [code]);
+    const [found] = report[list];
+    assert.equal(found.message, t(code, found));
+    for (const [key, value] of Object.entries(params)) assert.equal(found[key], value, key);
+    assert.equal(report.ok, list === 'warnings');
+  });
+}
+
+test('validatePack turns parser diagnostics into issues, blocking on truncated and unparsed chunks', () => {
+  const ppi = buildPPI({ uid: 'UID', title: 'T', blobs: [packItem('1', 4)] }, 'Genos', 1);
+  const blobAt = Buffer.from(ppi).indexOf('BLOB');
+  const junk = [0xFF, 0xFE, 0xFD];
+  const withJunk = new Uint8Array([...ppi.subarray(0, blobAt), ...junk, ...ppi.subarray(blobAt)]);
+  const unknown = new Uint8Array([...ppi, ...Buffer.from('ZZZZ'), 0, 0, 0, 1, 9]);
+  const issues = (buf, options) => {
+    const report = validatePack(parsePPI(buf, options), null);
+    return { errors: report.errors.map(e => e.code), warnings: report.warnings.map(w => w.code) };
+  };
+
+  assert.deepEqual(issues(withJunk), { errors: [], warnings: ['SKIPPED_BYTES'] });
+  assert.deepEqual(issues(withJunk, { strict: true }), { errors: ['UNPARSED_BYTES'], warnings: ['NO_ITEMS'] });
+  assert.deepEqual(issues(ppi.subarray(0, ppi.length - 2)), { errors: ['TRUNCATED_CHUNK', 'TRUNCATED_CHUNK'], warnings: [] });
+  assert.deepEqual(issues(unknown, { strict: true }), { errors: [], warnings: ['UNKNOWN_CHUNK'] });
+  assert.deepEqual(issues(new Uint8Array([...ppi, 1, 2, 3])), { errors: [], warnings: ['TRAILING_BYTES'] });
+});
@@ -0,0 +1,74 @@
+// ============================================================
+// CPI encryption worker (module worker, driven by worker-pool.js)
+// ============================================================
+
+import { buildCPIFromPPI, buildEncryptedCPI, streamCPIFromPPI, streamEncryptedCPI, selfTest } from './converter.js';
+import { ConverterError } from './messages.js';
+import { createSha256, sha256Hex } from './sha256.js';
+
+// Checked once per worker: a miscompiled engine must fail loudly, not emit a CPI the instrument rejects
+const selfCheck = selfTest();
+
+// Segments of a stream task posted but not yet acknowledged; past this the
+// worker waits, so a slow writer on the page holds at most this many segments
+const SEGMENT_WINDOW = 2;
+
+// Acknowledged segments of the running stream task; wake resumes it
+const acks = { id: null, count: 0, wake: null };
+
+function segmentAcked(id) {
+  if (id !== acks.id) return;
+  acks.count++;
+  acks.wake?.();
+  acks.wake = null;
+}
+
+// Task messages:
+//   { id, kind: 'ppi', ppiData: { xpihChunk, payloadRaw }, fullId, stream }
+//   { id, kind: 'ppf', packData, modelName, packInstallId, fullId, stream }
+//   { id, type: 'ack' } once the page has written a segment of stream task id
+// Replies: { id, type: 'progress', done, total }, { id, type: 'error', message, code, params }
+// (code/params set for ConverterErrors, so the page can show the message in its own language),
+// and either { id, type: 'done', cpi, size, sha256 } or, for stream tasks, a series of
+// { id, type: 'segment', data } followed by { id, type: 'done', size, sha256 }.
+// The SHA-256 (for the manifest) is taken here so the page never hashes a CPI itself.
+self.onmessage = async (e) => {
+  const task = e.data;
+  if (task.type === 'ack') {
+    segmentAcked(task.id);
+    return;
+  }
+  const onProgress = (done, total) => self.postMessage({ id: task.id, type: 'progress', done, total });
+
+  try {
+    if (!selfCheck.ok) {
+      const failed = selfCheck.results.filter(r => !r.ok).map(r => r.name).join(', ');
+      throw new ConverterError('E_SELF_TEST_FAILED', { failed });
+    }
+    if (task.stream) {
+      const segments = task.kind === 'ppf'
+        ? streamEncryptedCPI(task.packData, task.modelName, task.packInstallId, task.fullId, { onProgress })
+        : streamCPIFromPPI(task.ppiData, task.fullId, { onProgress });
+      const hash = createSha256();
+      let size = 0;
+      let sent = 0;
+      Object.assign(acks, { id: task.id, count: 0, wake: null });
+      for (const data of segments) {
+        while (sent - acks.count >= SEGMENT_WINDOW) await new Promise(resolve => { acks.wake = resolve; });
+        sent++;
+        hash.update(data);
+        size += data.length;
+        self.postMessage({ id: task.id, type: 'segment', data }, [data.buffer]);
+      }
+      self.postMessage({ id: task.id, type: 'done', size, sha256: hash.hex() });
+      return;
+    }
+
+    const cpi = task.kind === 'ppf'
+      ? buildEncryptedCPI(task.packData, task.modelName, task.packInstallId, task.fullId, { onProgress })
+      : buildCPIFromPPI(task.ppiData, task.fullId, { onProgress });
+    self.postMessage({ id: task.id, type: 'done', cpi, size: cpi.length, sha256: sha256Hex(cpi) }, [cpi.buffer]);
+  } catch (err) {
+    self.postMessage({ id: task.id, type: 'error', message: err.message, code: err.code, params: err.params });
+  }
+};
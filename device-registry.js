@@ -0,0 +1,149 @@
+// ============================================================
+// Saved device registry and conversion history (IndexedDB, browser only)
+// ============================================================
+
+import { validateDeviceInfo } from './converter.js';
+import { ConverterError } from './messages.js';
+
+const DB_NAME = 'cpi-tool';
+const DB_VERSION = 2;             // 2: conversion history
+const DEVICE_STORE = 'devices';   // keyed by fullId
+const HISTORY_STORE = 'history';  // conversion manifests, keyed by an auto-increment id
+
+// Identifies registry exports, so unrelated JSON files are rejected on import
+const EXPORT_FORMAT = 'cpi-tool-devices';
+const EXPORT_VERSION = 1;
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDB() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new ConverterError('E_NO_INDEXEDDB'));
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(DEVICE_STORE)) db.createObjectStore(DEVICE_STORE, { keyPath: 'fullId' });
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    dbPromise = promisify(request);
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/** Run fn(store) in a transaction; resolves with its request's result once the transaction commits */
+async function withStore(storeName, mode, fn) {
+  const db = await openDB();
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const request = fn(tx.objectStore(storeName));
+  await done;
+  return request.result;
+}
+
+/**
+ * Normalize a device record: { modelName, serial, fullId, label, note, addedAt }.
+ * Throws when the N27 fields are not valid (see validateDeviceInfo).
+ */
+function toDeviceRecord(device) {
+  const record = {
+    modelName: String(device.modelName ?? '').trim(),
+    serial: String(device.serial ?? '').trim(),
+    fullId: String(device.fullId ?? '').trim(),
+    label: String(device.label ?? '').trim(),
+    note: String(device.note ?? ''),
+    addedAt: device.addedAt ?? new Date().toISOString(),
+  };
+  const errors = validateDeviceInfo(record);
+  if (errors.length > 0) throw new ConverterError('E_BAD_DEVICE', { errors });
+  return record;
+}
+
+/** All saved devices, by label (or serial when unlabelled) */
+async function listDevices() {
+  const devices = await withStore(DEVICE_STORE, 'readonly', store => store.getAll());
+  return devices.sort((a, b) => (a.label || a.serial).localeCompare(b.label || b.serial));
+}
+
+/** Insert or replace a device (keyed by fullId); returns the stored record */
+async function saveDevice(device) {
+  const record = toDeviceRecord(device);
+  await withStore(DEVICE_STORE, 'readwrite', store => store.put(record));
+  return record;
+}
+
+async function deleteDevice(fullId) {
+  await withStore(DEVICE_STORE, 'readwrite', store => store.delete(fullId));
+}
+
+/** Registry export as a JSON string */
+function serializeDevices(devices) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    devices: devices.map(toDeviceRecord),
+  }, null, 2);
+}
+
+/**
+ * Read a registry export.
+ * Returns { devices, errors } — invalid entries are skipped and reported as
+ * { index, message } instead of failing the whole import.
+ */
+function parseDeviceExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ConverterError('E_NOT_JSON');
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.devices)) {
+    throw new ConverterError('E_NOT_DEVICE_EXPORT');
+  }
+  if (data.version > EXPORT_VERSION) throw new ConverterError('E_EXPORT_VERSION', { version: data.version });
+
+  const devices = [];
+  const errors = [];
+  data.devices.forEach((device, index) => {
+    try {
+      devices.push(toDeviceRecord(device));
+    } catch (err) {
+      errors.push({ index, message: err.message });
+    }
+  });
+  return { devices, errors };
+}
+
+// ---- Conversion history ----
+
+/** Store a conversion manifest (see buildManifest); resolves with its id */
+async function addHistory(manifest) {
+  return withStore(HISTORY_STORE, 'readwrite', store => store.add({ ...manifest }));
+}
+
+/** All history entries, newest first; each is its manifest plus id */
+async function listHistory() {
+  const entries = await withStore(HISTORY_STORE, 'readonly', store => store.getAll());
+  return entries.reverse();
+}
+
+async function clearHistory() {
+  await withStore(HISTORY_STORE, 'readwrite', store => store.clear());
+}
+
+export {
+  listDevices, saveDevice, deleteDevice, serializeDevices, parseDeviceExport,
+  addHistory, listHistory, clearHistory,
+};
@@ -0,0 +1,600 @@
+// ============================================================
+// Error codes and the Hebrew/English message catalog
+// ============================================================
+
+// Every user-facing string lives here, keyed by a stable code. Errors carry
+// the code (E_NO_XPIH, E_NO_XMDL, ...) so scripts and support staff can match
+// on it whatever the display language; validation issues use their issue code
+// (MODEL_MISMATCH, EMPTY_EUID, ...); UI text uses dotted keys (tab.convert).
+// Entries are strings or functions of the params object.
+
+const LANGUAGES = { he: { name: 'עברית', dir: 'rtl' }, en: { name: 'English', dir: 'ltr' } };
+const DEFAULT_LANGUAGE = 'he';
+
+let language = DEFAULT_LANGUAGE;
+
+function formatMemory(bytes) {
+  const mb = bytes / (1024 * 1024);
+  return mb < 1024 ? `${mb.toFixed(0)} MB` : `${(mb / 1024).toFixed(1)} GB`;
+}
+
+const hex = offset => `0x${offset.toString(16)}`;
+
+const he = {
+  // ---- Errors ----
+  E_N27_TOO_LARGE: p => `הקובץ גדול מדי לקובץ אינפו (${p.size} בתים)`,
+  E_N27_NOT_DEVICE_INFO: p => (p.field
+    ? `השדה "${he[`field.${p.field}`]}" מכיל נתונים בינאריים — הקובץ אינו קובץ אינפו`
+    : `זהו קובץ חבילה (${p.tag}) ולא קובץ אינפו`),
+  E_N27_TOO_SHORT: p => `קובץ האינפו קטוע — ${p.size} בתים, נדרשים לפחות ${p.required}`,
+  E_N27_BAD_FIELD: p => p.errors.map(e => he[e.code](e)).join('; '),
+  E_EMPTY_DEVICE_KEY: 'מזהה המכשיר ריק',
+  E_BAD_FIRST_DATA: 'firstData חייב להיות באורך 16 בתים',
+  E_NO_XPIH: 'קובץ PPI לא תקין — חסר XPIH header',
+  E_NO_XMDL: 'לא נמצא שם דגם (XMDL) בקובץ PPI',
+  E_NO_TARGET_MODEL: 'חסר שם דגם יעד',
+  E_BAD_PACK_ID: p => `מזהה התקנה לא תקין: ${p.packInstallId}`,
+  E_NO_PACK_EUID: 'לחבילה אין EUID להחלפה',
+  E_CHUNK_NOT_IN_TREE: p => `המקטע ${p.id} אינו חלק מעץ המקטעים`,
+  E_ENCRYPTED_PACK: 'הקובץ מוצפן (CPI) — יש לטעון את קובץ ה-PPI הלא מוצפן',
+  E_PPF_MISSING_ITEMS: p => `הקובץ פגום — רק ${p.found} מתוך ${p.expected} הפריטים נקראו ממבנה המקטעים, ולכן לא נוצר פרויקט PPF`,
+  E_WAVE_PACK_UNSUPPORTED: p => `לא ניתן למזג או לפצל את חבילת ה-Wave "${p.title}" — נתוני ה-Wave שלה היו הולכים לאיבוד`,
+  E_NOTHING_TO_MERGE: 'לא נבחרו חבילות למיזוג',
+  E_NO_SPLIT_LIMIT: 'יש לציין מספר פריטים או גודל מרבי לכל חבילה',
+  E_SPLIT_ITEM_TOO_LARGE: p => `הפריט "${p.title}" לבדו דורש ${p.size} בתים — יותר מהמגבלה של ${p.maxBytes} בתים לחבילה`,
+  E_SPLIT_TOO_MANY_PARTS: p => `הפיצול דורש ${p.parts} חבילות במקומות ${p.firstSlot}–${p.lastSlot}, אך ב-${p.modelName} יש רק ${p.maxSlot} מקומות`,
+  E_NO_DEVICES: 'לא נמצאו מכשירים עם מזהה תקין',
+  E_NO_INDEXEDDB: 'הדפדפן אינו תומך ב-IndexedDB',
+  E_BAD_DEVICE: p => p.errors.map(e => he[e.code](e)).join('; '),
+  E_NOT_JSON: 'הקובץ אינו JSON תקין',
+  E_NOT_DEVICE_EXPORT: 'הקובץ אינו ייצוא של מאגר מכשירים',
+  E_EXPORT_VERSION: p => `גרסת ייצוא ${p.version} אינה נתמכת`,
+  E_SELF_TEST_FAILED: p => `הבדיקה העצמית של מנוע ההצפנה נכשלה (${p.failed}) — נסו דפדפן אחר`,
+  E_WORKER_FAILED: 'תהליך ההצפנה נכשל',
+  E_CANCELLED: 'ההמרה בוטלה',
+  E_PAYLOAD_TOO_LARGE: p => `הבקשה גדולה מהמותר (עד ${Math.round(p.limit / (1024 * 1024))} MB)`,
+  E_UNSUPPORTED_MEDIA_TYPE: 'יש לשלוח את הבקשה כ-multipart/form-data',
+  E_BAD_MULTIPART: 'גוף הבקשה אינו multipart/form-data תקין',
+  E_MISSING_FIELD: p => `חסר השדה "${p.field}"`,
+  E_BAD_FIELD_VALUE: p => `ערך לא תקין בשדה "${p.field}": ${p.value}`,
+  E_NOT_FOUND: p => `הנתיב ${p.path} לא נמצא`,
+  E_METHOD_NOT_ALLOWED: p => `השיטה ${p.method} אינה נתמכת בנתיב זה`,
+  E_VALIDATION: p => `בדיקת החבילה נכשלה (${p.count} שגיאות) — ניתן לשלוח force=1 כדי להמיר בכל זאת`,
+  E_TOO_MANY_DEVICES: p => `יותר מדי מכשירים — עד ${p.max} בבקשה אחת`,
+  E_BATCH_TOO_LARGE: p => `האצווה גדולה מהמותר — מספר המכשירים כפול גודל החבילה עד ${Math.round(p.limit / (1024 * 1024))} MB`,
+  E_INTERNAL: 'שגיאה פנימית בשרת',
+
+  // ---- Device fields ----
+  'field.modelName': 'דגם',
+  'field.serial': 'מספר סידורי',
+  'field.fullId': 'מזהה מכשיר',
+  FIELD_MISSING: p => `חסר ${he[`field.${p.field}`]}`,
+  FIELD_CHARSET: p => `${he[`field.${p.field}`]} "${p.value}" מכיל תווים לא חוקיים (אותיות, ספרות וסימנים באנגלית בלבד${p.field === 'modelName' ? '' : ', ללא רווחים'})`,
+  FIELD_TOO_LONG: p => `${he[`field.${p.field}`]} ארוך מדי — עד ${p.length} תווים`,
+  N27_FIELD_PADDING: p => `אחרי השדה "${he[`field.${p.field}`]}" יש נתונים לא צפויים`,
+
+  // ---- Validation issues ----
+  MODEL_MISMATCH: p => `דגם החבילה (${p.packModel}) שונה מדגם המכשיר (${p.deviceModel})`,
+  UNKNOWN_MODEL: p => `הדגם ${p.modelName} אינו ברשימת הדגמים — התאמת החבילה לא נבדקה`,
+  SLOT_UNAVAILABLE: p => `מזהה התקנה ${p.packInstallId} חורג מ-${p.installSlots} המקומות הזמינים ב-${p.modelName}`,
+  PACK_ID_RANGE: p => `מזהה התקנה ${p.packInstallId} מחוץ לטווח ${p.min}–${p.max}`,
+  WAVE_MEMORY_EXCEEDED: p => `החבילה צריכה ${formatMemory(p.required)} זיכרון Wave, ול-${p.modelName} יש ${formatMemory(p.available)}`,
+  EMPTY_EUID: p => (p.blob === undefined ? 'לחבילה אין מזהה (EUID)' : `לפריט "${he.itemName(p)}" אין מזהה (EUID)`),
+  MISSING_ETIT: p => (p.blob === undefined ? 'לחבילה אין שם (ETIT)' : `לפריט ${p.blob + 1} אין שם (ETIT)`),
+  NO_ITEMS: 'החבילה לא כוללת אף פריט',
+  DUPLICATE_EUID: p => `המזהה ${p.uid} של "${he.itemName(p)}" כבר בשימוש ${p.usedBy === undefined ? 'בחבילה' : `ב"${p.usedBy}"`}`,
+  EMPTY_FBIN: p => `לפריט "${he.itemName(p)}" אין תוכן (FBIN ריק)`,
+  UNSUPPORTED_EEXT: p => `${p.modelName} אינו טוען קבצי "${p.extension}" (פריט "${he.itemName(p)}")`,
+  UNEXPECTED_EEXT: p => `סיומת לא צפויה "${p.extension}" בפריט "${he.itemName(p)}"`,
+  SKIPPED_BYTES: p => `דולגו ${p.length} בתים לא מזוהים בהיסט ${hex(p.offset)}`,
+  TRUNCATED_CHUNK: p => `המקטע ${p.id} בהיסט ${hex(p.offset)} קטוע — הוצהרו ${p.expectedSize} בתים, נמצאו ${p.actualSize}`,
+  UNPARSED_BYTES: p => `${p.length} בתים בהיסט ${hex(p.offset)} אינם מקטע תקין`,
+  UNKNOWN_CHUNK: p => `מקטע לא מוכר ${p.id} (${p.size} בתים) בהיסט ${hex(p.offset)}`,
+  TRAILING_BYTES: p => `${p.length} בתים עודפים בסוף מקטע בהיסט ${hex(p.offset)}`,
+  PPF_WAVE_DATA: p => `נתוני ה-Wave במקטע ${p.id} (${p.size} בתים) לא נכללו — אין להם מקום בפרויקט PPF`,
+  PPF_DROPPED_CHUNK: p => `המקטע ${p.id} (${p.size} בתים) לא נכלל בפרויקט ה-PPF`,
+  PPF_UNPARSED_BYTES: p => `${p.size} בתים שאינם מקטע תקין לא נכללו בפרויקט ה-PPF`,
+  MERGE_DUPLICATE_SKIPPED: p => `"${p.title}" לא נכלל — המזהה ${p.uid} כבר בשימוש ב"${p.usedBy}"`,
+  MERGE_DUPLICATE_RENEWED: p => `"${p.title}" קיבל מזהה חדש ${p.newUid} — המזהה ${p.uid} כבר בשימוש ב"${p.usedBy}"`,
+  itemName: p => p.title || `פריט ${p.blob + 1}`,
+
+  // ---- UI ----
+  'page.title': 'המרת PPI ל-CPI מוצפן',
+  'common.cancel': 'ביטול',
+  'lang.switch': 'English',
+  'tab.convert': 'המרה',
+  'tab.author': 'חבילה חדשה',
+  'tab.inspect': 'בודק קבצים',
+  'tab.packs': 'מיזוג ופיצול',
+  'tab.diff': 'השוואה',
+  'tab.history': 'היסטוריה',
+
+  'convert.title': 'המרת PPI ל-CPI מוצפן',
+  'convert.subtitle': 'נעילת חבילה לאורגן ספציפי עם הצפנת DES',
+  'convert.step1': 'העלאת קובץ אינפו (.n27) או בחירת מכשיר שמור',
+  'convert.infoUpload': 'לחץ לבחירת קובץ .n27 (ניתן לבחור כמה קבצים)',
+  'convert.infoFolder': 'או בחר תיקייה של קבצי .n27',
+  'convert.modelName': 'שם דגם:',
+  'convert.serial': 'סריאל:',
+  'convert.fullId': 'מזהה מכשיר:',
+  'convert.file': 'קובץ:',
+  'convert.savedDevice': 'מכשיר שמור',
+  'convert.step2': 'העלאת קובץ PPI או פרויקט PPF',
+  'convert.packUpload': 'לחץ לבחירת קובץ .ppi או .ppf',
+  'convert.packTitle': 'שם חבילה:',
+  'convert.items': 'פריטים:',
+  'convert.size': 'גודל:',
+  'convert.wave': 'זיכרון Wave:',
+  'convert.waveDetail': p => `${p.size} (${p.waves} גלים, ${p.voiceParams} ערכות פרמטרים)`,
+  'convert.projectTitle': 'שם פרויקט:',
+  'convert.targetModel': 'דגם יעד:',
+  'convert.targetModelHint': 'מתוך קובץ N27 או בחירה ידנית',
+  'convert.packId': 'מזהה התקנה (Pack Install ID):',
+  'convert.newUid': 'EUID חדש לחבילה (להתקנה לצד המקור):',
+  'convert.included': 'פריטים שייכללו:',
+  'convert.includedSummary': p => `${p.included} מתוך ${p.total} (${p.size})`,
+  'convert.selectAll': 'בחר הכל',
+  'convert.step3': 'סוג הצפנה',
+  'convert.modeLocked': 'נעול למכשיר (דורש קובץ N27)',
+  'convert.modeStandard': 'ללא נעילת מכשיר (CSEC סטנדרטי)',
+  'convert.chooseFiles': 'בחר קבצים כדי להמשיך',
+  'convert.fixErrors': 'יש לתקן את השגיאות לפני ההמרה',
+  'convert.downloadZip': p => `הורד ZIP עם ${p.count} קבצי CPI נעולים — ${p.modelName}`,
+  'convert.downloadLocked': p => `הורד CPI נעול ל-${p.modelName} (${p.fullId})`,
+  'convert.downloadStandard': p => `הורד CPI ללא נעילה — ${p.modelName}`,
+  'convert.needPack': 'נותר להעלות קובץ PPI או PPF',
+  'convert.needTarget': 'נותר לבחור דגם ומזהה התקנה',
+  'convert.needN27': 'נותר להעלות קובץ אינפו (N27)',
+  'convert.encrypting': 'מצפין...',
+  'convert.encryptingMany': p => `מצפין ${p.count} קבצים...`,
+  'convert.zipDone': p => `הקובץ ${p.fileName} (${p.size}) הורד בהצלחה — ${p.count} מכשירים`,
+  'convert.zipSavedDone': p => `הקובץ ${p.fileName} (${p.size}) נשמר בהצלחה — ${p.count} מכשירים`,
+  'convert.savedDone': p => `הקובץ ${p.fileName} (${p.size}) נשמר בהצלחה`,
+  'convert.downloadedDone': p => `הקובץ ${p.fileName} (${p.size}) הורד בהצלחה`,
+  'convert.lockedTo': p => ` — נעול למכשיר ${p.serial}`,
+  'convert.unlocked': ' — ללא נעילת מכשיר',
+  'convert.error': 'שגיאה בהמרה: ',
+  'convert.infoError': 'שגיאה בקריאת קובץ האינפו: ',
+  'convert.packError': 'שגיאה בקריאת קובץ החבילה: ',
+  'convert.exportPPF': 'הורד כפרויקט PPF',
+  'convert.ppfDone': p => `הפרויקט ${p.fileName} (${p.size}) הורד בהצלחה`,
+  'convert.ppfError': 'שגיאה ביצירת פרויקט PPF: ',
+  'convert.noDeviceFound': 'לא נמצא מזהה מכשיר באף אחד מהקבצים',
+  'convert.partialUpload': p => `${p.count} מכשירים נטענו, בעיות: ${p.problems}`,
+  'report.errors': 'שגיאות — ההמרה חסומה:',
+  'report.warnings': 'אזהרות:',
+
+  'registry.title': 'מכשירים שמורים',
+  'registry.add': 'הוספה ידנית',
+  'registry.import': 'ייבוא JSON',
+  'registry.export': 'ייצוא JSON',
+  'registry.model': 'דגם:',
+  'registry.serial': 'מספר סידורי:',
+  'registry.fullId': 'מזהה מכשיר:',
+  'registry.label': 'תווית:',
+  'registry.note': 'הערה ללקוח:',
+  'registry.optional': 'לא חובה',
+  'registry.save': 'שמור מכשיר',
+  'registry.colLabel': 'תווית',
+  'registry.colModel': 'דגם',
+  'registry.colSerial': 'סריאל',
+  'registry.colId': 'מזהה',
+  'registry.colNote': 'הערה',
+  'registry.empty': 'אין מכשירים שמורים — מכשירים מקבצי .n27 נשמרים כאן אוטומטית',
+  'registry.delete': 'מחק מהמאגר',
+  'registry.confirmDelete': p => `למחוק את ${p.name} (${p.fullId}) מהמאגר?`,
+  'registry.unavailable': 'מאגר המכשירים אינו זמין — המכשירים לא יישמרו: ',
+  'registry.saveFailed': 'המכשיר לא נשמר במאגר: ',
+  'registry.deleteFailed': 'המחיקה נכשלה: ',
+  'registry.nothingToExport': 'אין מכשירים לייצוא',
+  'registry.record': p => `רשומה ${p.index + 1}: ${p.message}`,
+  'registry.imported': p => `יובאו ${p.count} מכשירים`,
+  'registry.importSkipped': p => `${p.imported}, ${p.count} דולגו — ${p.skipped}`,
+  'registry.importError': 'שגיאה בייבוא: ',
+
+  'author.title': 'חבילה חדשה',
+  'author.subtitle': 'בניית PPI מקבצי סגנונות, רישומים וקולות',
+  'author.packTitle': 'שם החבילה:',
+  'author.uid': 'מזהה חבילה (EUID):',
+  'author.upload': 'גרור קבצים לכאן או לחץ לבחירה',
+  'author.items': 'פריטים:',
+  'author.colName': 'שם',
+  'author.colExtension': 'סיומת',
+  'author.colIcon': 'אייקון',
+  'author.colIconCode': 'קוד אייקון',
+  'author.colSize': 'גודל',
+  'author.downloadPPI': 'הורד PPI',
+  'author.toCPI': 'המשך להמרה ל-CPI',
+  'author.remove': 'הסר',
+  'author.readError': 'שגיאה בקריאת הקבצים: ',
+  'author.buildError': 'שגיאה בבניית החבילה: ',
+  'author.done': p => `הקובץ ${p.fileName} (${p.size}) הורד בהצלחה`,
+
+  'packs.title': 'מיזוג ופיצול חבילות',
+  'packs.subtitle': 'איחוד הפריטים של כמה חבילות לחבילה אחת, או חלוקת חבילה גדולה לכמה קטנות',
+  'packs.mergeTitle': 'מיזוג חבילות',
+  'packs.mergeUpload': 'לחץ לבחירת קבצי .ppi או .ppf (ניתן לבחור כמה קבצים)',
+  'packs.colPack': 'חבילה',
+  'packs.colItems': 'פריטים',
+  'packs.colPackId': 'מזהה התקנה',
+  'packs.newTitle': 'שם החבילה החדשה:',
+  'packs.renew': 'מזהים חדשים לפריטים כפולים (במקום השמטה):',
+  'packs.mergeDownload': 'הורד PPI ממוזג',
+  'packs.mergeDone': p => `הקובץ ${p.fileName} (${p.size}) הורד בהצלחה — ${p.count} פריטים`,
+  'packs.splitTitle': 'פיצול חבילה',
+  'packs.splitSummary': p => `${p.title} — ${p.count} פריטים, ${p.size}`,
+  'packs.maxItems': 'מספר פריטים מרבי לחבילה:',
+  'packs.maxSize': 'גודל מרבי לחבילה (MB):',
+  'packs.firstPackId': 'מזהה התקנה לחבילה הראשונה:',
+  'packs.splitDownload': 'הורד ZIP עם החבילות',
+  'packs.splitDone': p => `הקובץ ${p.fileName} (${p.size}) הורד בהצלחה — ${p.count} חבילות`,
+  'packs.readError': 'שגיאה בקריאת החבילה: ',
+  'packs.fixErrors': 'יש לתקן את השגיאות לפני ההורדה',
+
+  'diff.title': 'השוואת גרסאות חבילה',
+  'diff.subtitle': 'מה השתנה בין שתי גרסאות של PPI או PPF — הפריטים מותאמים לפי EUID',
+  'diff.before': 'גרסה קודמת (.ppi / .ppf)',
+  'diff.after': 'גרסה חדשה (.ppi / .ppf)',
+  'diff.colChange': 'שינוי',
+  'diff.colItem': 'פריט',
+  'diff.colDetails': 'פרטים',
+  'diff.header': 'כותרת',
+  'diff.added': 'נוסף',
+  'diff.removed': 'הוסר',
+  'diff.renamed': 'שם שונה',
+  'diff.changed': 'תוכן שונה',
+  'diff.field.modelName': 'דגם (XMDL)',
+  'diff.field.packInstallId': 'מזהה התקנה (XPID)',
+  'diff.field.uid': 'מזהה חבילה (EUID)',
+  'diff.field.title': 'שם חבילה (ETIT)',
+  'diff.identical': p => `החבילות זהות (${p.count} פריטים)`,
+  'diff.summary': p => `${p.added} נוספו, ${p.removed} הוסרו, ${p.renamed} שמות שונו, ${p.changed} עם תוכן חדש, ${p.unchanged} ללא שינוי`,
+
+  'inspect.title': 'בודק קבצים',
+  'inspect.subtitle': 'עץ המקטעים המלא של קובץ PPI, PPF או CPI',
+  'inspect.upload': 'לחץ לבחירת קובץ לבדיקה',
+  'inspect.format': 'סוג:',
+  'inspect.size': 'גודל:',
+  'inspect.diagnostics': 'הערות ניתוח:',
+  'inspect.export': 'ייצוא JSON',
+  'inspect.format.ppi': 'PPI (לא מוצפן)',
+  'inspect.format.ppf': 'פרויקט PPF',
+  'inspect.format.cpi': 'CPI (מוצפן)',
+  'inspect.format.unknown': 'לא מזוהה',
+  'inspect.none': 'אין',
+  'inspect.downloadContent': 'הורדת התוכן',
+  'inspect.error': 'שגיאה בקריאת הקובץ: ',
+  'selfTest.label': 'אבחון: בדיקת מנוע ההצפנה מול וקטורי DES/3DES ידועים',
+  'selfTest.run': 'הרץ בדיקה עצמית',
+  'selfTest.mismatch': p => `צפוי ${p.expected}, התקבל ${p.actual}`,
+  'selfTest.passed': p => `כל ${p.count} הבדיקות עברו — מנוע ההצפנה תקין`,
+  'selfTest.failed': p => `${p.count} בדיקות נכשלו — מנוע ההצפנה בדפדפן זה אינו תקין ואין להשתמש בקבצי CPI שנוצרו בו. נסו דפדפן אחר.`,
+
+  'history.title': 'היסטוריית המרות',
+  'history.subtitle': 'איזו חבילה הותקנה על איזה מכשיר — נשמר בדפדפן זה בלבד',
+  'history.export': 'ייצוא CSV',
+  'history.clear': 'ניקוי היסטוריה',
+  'history.colDate': 'תאריך',
+  'history.colPack': 'חבילה',
+  'history.colTarget': 'דגם / Slot',
+  'history.colDevice': 'מכשיר',
+  'history.colFile': 'קובץ CPI',
+  'history.empty': 'עדיין לא בוצעו המרות',
+  'history.count': p => `${p.count} המרות`,
+  'history.unlocked': 'ללא נעילה',
+  'history.downloadManifest': 'הורד manifest',
+  'history.recordFailed': 'ההמרה לא נרשמה בהיסטוריה: ',
+  'history.unavailable': 'ההיסטוריה אינה זמינה: ',
+  'history.exportFailed': 'הייצוא נכשל: ',
+  'history.confirmClear': 'למחוק את כל היסטוריית ההמרות? קבצי ה-manifest שכבר הורדו אינם נמחקים.',
+  'history.clearFailed': 'המחיקה נכשלה: ',
+};
+
+const en = {
+  // ---- Errors ----
+  E_N27_TOO_LARGE: p => `Too large for a device info file (${p.size} bytes)`,
+  E_N27_NOT_DEVICE_INFO: p => (p.field
+    ? `The ${en[`field.${p.field}`]} field holds binary data — this is not a device info file`
+    : `This is a pack file (${p.tag}), not a device info file`),
+  E_N27_TOO_SHORT: p => `Device info file is truncated — ${p.size} bytes, at least ${p.required} needed`,
+  E_N27_BAD_FIELD: p => p.errors.map(e => en[e.code](e)).join('; '),
+  E_EMPTY_DEVICE_KEY: 'Empty device key',
+  E_BAD_FIRST_DATA: 'firstData must be 16 bytes',
+  E_NO_XPIH: 'Invalid PPI file — missing XPIH header',
+  E_NO_XMDL: 'No model name (XMDL) in the PPI file',
+  E_NO_TARGET_MODEL: 'Target model name is missing',
+  E_BAD_PACK_ID: p => `Invalid pack install ID: ${p.packInstallId}`,
+  E_NO_PACK_EUID: 'The pack has no EUID to replace',
+  E_CHUNK_NOT_IN_TREE: p => `Chunk ${p.id} is not part of this chunk tree`,
+  E_ENCRYPTED_PACK: 'The file is an encrypted CPI — load the unencrypted PPI instead',
+  E_PPF_MISSING_ITEMS: p => `The file is damaged — only ${p.found} of ${p.expected} items could be read from its chunk structure, so no PPF project was written`,
+  E_WAVE_PACK_UNSUPPORTED: p => `Wave pack "${p.title}" cannot be merged or split — its wave data would be lost`,
+  E_NOTHING_TO_MERGE: 'No packs to merge',
+  E_NO_SPLIT_LIMIT: 'Give a maximum item count or size per pack',
+  E_SPLIT_ITEM_TOO_LARGE: p => `Item "${p.title}" alone needs ${p.size} bytes — more than the ${p.maxBytes}-byte limit per pack`,
+  E_SPLIT_TOO_MANY_PARTS: p => `The split needs ${p.parts} packs in slots ${p.firstSlot}–${p.lastSlot}, but the ${p.modelName} has only ${p.maxSlot} slots`,
+  E_NO_DEVICES: 'No devices with a valid ID',
+  E_NO_INDEXEDDB: 'This browser does not support IndexedDB',
+  E_BAD_DEVICE: p => p.errors.map(e => en[e.code](e)).join('; '),
+  E_NOT_JSON: 'The file is not valid JSON',
+  E_NOT_DEVICE_EXPORT: 'The file is not a device registry export',
+  E_EXPORT_VERSION: p => `Export version ${p.version} is not supported`,
+  E_SELF_TEST_FAILED: p => `Encryption engine self-test failed (${p.failed}) — try another browser`,
+  E_WORKER_FAILED: 'The encryption worker failed',
+  E_CANCELLED: 'Conversion cancelled',
+  E_PAYLOAD_TOO_LARGE: p => `Request body too large (limit ${Math.round(p.limit / (1024 * 1024))} MB)`,
+  E_UNSUPPORTED_MEDIA_TYPE: 'Send the request as multipart/form-data',
+  E_BAD_MULTIPART: 'The request body is not valid multipart/form-data',
+  E_MISSING_FIELD: p => `Missing field "${p.field}"`,
+  E_BAD_FIELD_VALUE: p => `Invalid value for "${p.field}": ${p.value}`,
+  E_NOT_FOUND: p => `${p.path} not found`,
+  E_METHOD_NOT_ALLOWED: p => `Method ${p.method} is not allowed here`,
+  E_VALIDATION: p => `Pack validation failed (${p.count} errors) — send force=1 to convert anyway`,
+  E_TOO_MANY_DEVICES: p => `Too many devices — at most ${p.max} per request`,
+  E_BATCH_TOO_LARGE: p => `Batch too large — devices × pack size is limited to ${Math.round(p.limit / (1024 * 1024))} MB`,
+  E_INTERNAL: 'Internal server error',
+
+  // ---- Device fields ----
+  'field.modelName': 'model',
+  'field.serial': 'serial number',
+  'field.fullId': 'device ID',
+  FIELD_MISSING: p => `Missing ${en[`field.${p.field}`]}`,
+  FIELD_CHARSET: p => `The ${en[`field.${p.field}`]} "${p.value}" contains invalid characters (English letters, digits and symbols only${p.field === 'modelName' ? '' : ', no spaces'})`,
+  FIELD_TOO_LONG: p => `The ${en[`field.${p.field}`]} is too long — at most ${p.length} characters`,
+  N27_FIELD_PADDING: p => `Unexpected data after the ${en[`field.${p.field}`]} field`,
+
+  // ---- Validation issues ----
+  MODEL_MISMATCH: p => `The pack model (${p.packModel}) differs from the device model (${p.deviceModel})`,
+  UNKNOWN_MODEL: p => `Model ${p.modelName} is not in the model list — pack compatibility was not checked`,
+  SLOT_UNAVAILABLE: p => `Pack install ID ${p.packInstallId} exceeds the ${p.installSlots} slots available on the ${p.modelName}`,
+  PACK_ID_RANGE: p => `Pack install ID ${p.packInstallId} is outside ${p.min}–${p.max}`,
+  WAVE_MEMORY_EXCEEDED: p => `The pack needs ${formatMemory(p.required)} of wave memory; the ${p.modelName} has ${formatMemory(p.available)}`,
+  EMPTY_EUID: p => (p.blob === undefined ? 'The pack has no ID (EUID)' : `Item "${en.itemName(p)}" has no ID (EUID)`),
+  MISSING_ETIT: p => (p.blob === undefined ? 'The pack has no title (ETIT)' : `Item ${p.blob + 1} has no title (ETIT)`),
+  NO_ITEMS: 'The pack has no items',
+  DUPLICATE_EUID: p => `ID ${p.uid} of "${en.itemName(p)}" is already used by ${p.usedBy === undefined ? 'the pack' : `"${p.usedBy}"`}`,
+  EMPTY_FBIN: p => `Item "${en.itemName(p)}" has no content (empty FBIN)`,
+  UNSUPPORTED_EEXT: p => `The ${p.modelName} does not load "${p.extension}" files (item "${en.itemName(p)}")`,
+  UNEXPECTED_EEXT: p => `Unexpected extension "${p.extension}" on item "${en.itemName(p)}"`,
+  SKIPPED_BYTES: p => `Skipped ${p.length} unrecognized bytes at offset ${hex(p.offset)}`,
+  TRUNCATED_CHUNK: p => `Chunk ${p.id} at offset ${hex(p.offset)} is truncated — ${p.expectedSize} bytes declared, ${p.actualSize} found`,
+  UNPARSED_BYTES: p => `${p.length} bytes at offset ${hex(p.offset)} are not a valid chunk`,
+  UNKNOWN_CHUNK: p => `Unknown chunk ${p.id} (${p.size} bytes) at offset ${hex(p.offset)}`,
+  TRAILING_BYTES: p => `${p.length} extra bytes at the end of a chunk at offset ${hex(p.offset)}`,
+  PPF_WAVE_DATA: p => `Wave data in ${p.id} (${p.size} bytes) was left out — a PPF project cannot hold it`,
+  PPF_DROPPED_CHUNK: p => `Chunk ${p.id} (${p.size} bytes) was left out of the PPF project`,
+  PPF_UNPARSED_BYTES: p => `${p.size} bytes that are not a valid chunk were left out of the PPF project`,
+  MERGE_DUPLICATE_SKIPPED: p => `"${p.title}" was left out — EUID ${p.uid} is already used by "${p.usedBy}"`,
+  MERGE_DUPLICATE_RENEWED: p => `"${p.title}" got the new EUID ${p.newUid} — ${p.uid} is already used by "${p.usedBy}"`,
+  itemName: p => p.title || `item ${p.blob + 1}`,
+
+  // ---- UI ----
+  'page.title': 'PPI to encrypted CPI converter',
+  'common.cancel': 'Cancel',
+  'lang.switch': 'עברית',
+  'tab.convert': 'Convert',
+  'tab.author': 'New pack',
+  'tab.inspect': 'Inspector',
+  'tab.packs': 'Merge & split',
+  'tab.diff': 'Compare',
+  'tab.history': 'History',
+
+  'convert.title': 'PPI to encrypted CPI',
+  'convert.subtitle': 'Lock a pack to a specific instrument with DES encryption',
+  'convert.step1': 'Upload a device info file (.n27) or pick a saved device',
+  'convert.infoUpload': 'Click to choose a .n27 file (several files allowed)',
+  'convert.infoFolder': 'or choose a folder of .n27 files',
+  'convert.modelName': 'Model:',
+  'convert.serial': 'Serial:',
+  'convert.fullId': 'Device ID:',
+  'convert.file': 'File:',
+  'convert.savedDevice': 'Saved device',
+  'convert.step2': 'Upload a PPI file or PPF project',
+  'convert.packUpload': 'Click to choose a .ppi or .ppf file',
+  'convert.packTitle': 'Pack title:',
+  'convert.items': 'Items:',
+  'convert.size': 'Size:',
+  'convert.wave': 'Wave memory:',
+  'convert.waveDetail': p => `${p.size} (${p.waves} waves, ${p.voiceParams} parameter sets)`,
+  'convert.projectTitle': 'Project title:',
+  'convert.targetModel': 'Target model:',
+  'convert.targetModelHint': 'From the N27 file or chosen by hand',
+  'convert.packId': 'Pack install ID:',
+  'convert.newUid': 'New pack EUID (install next to the original):',
+  'convert.included': 'Items to include:',
+  'convert.includedSummary': p => `${p.included} of ${p.total} (${p.size})`,
+  'convert.selectAll': 'Select all',
+  'convert.step3': 'Encryption type',
+  'convert.modeLocked': 'Locked to a device (needs an N27 file)',
+  'convert.modeStandard': 'No device lock (standard CSEC)',
+  'convert.chooseFiles': 'Choose files to continue',
+  'convert.fixErrors': 'Fix the errors before converting',
+  'convert.downloadZip': p => `Download ZIP with ${p.count} locked CPI files — ${p.modelName}`,
+  'convert.downloadLocked': p => `Download CPI locked to ${p.modelName} (${p.fullId})`,
+  'convert.downloadStandard': p => `Download unlocked CPI — ${p.modelName}`,
+  'convert.needPack': 'Upload a PPI or PPF file',
+  'convert.needTarget': 'Choose a model and pack install ID',
+  'convert.needN27': 'Upload a device info file (N27)',
+  'convert.encrypting': 'Encrypting...',
+  'convert.encryptingMany': p => `Encrypting ${p.count} files...`,
+  'convert.zipDone': p => `${p.fileName} (${p.size}) downloaded — ${p.count} devices`,
+  'convert.zipSavedDone': p => `${p.fileName} (${p.size}) saved — ${p.count} devices`,
+  'convert.savedDone': p => `${p.fileName} (${p.size}) saved`,
+  'convert.downloadedDone': p => `${p.fileName} (${p.size}) downloaded`,
+  'convert.lockedTo': p => ` — locked to device ${p.serial}`,
+  'convert.unlocked': ' — no device lock',
+  'convert.error': 'Conversion failed: ',
+  'convert.infoError': 'Could not read the device info file: ',
+  'convert.packError': 'Could not read the pack file: ',
+  'convert.exportPPF': 'Download as PPF project',
+  'convert.ppfDone': p => `Project ${p.fileName} (${p.size}) downloaded`,
+  'convert.ppfError': 'Could not build the PPF project: ',
+  'convert.noDeviceFound': 'None of the files has a device ID',
+  'convert.partialUpload': p => `${p.count} devices loaded, problems: ${p.problems}`,
+  'report.errors': 'Errors — conversion blocked:',
+  'report.warnings': 'Warnings:',
+
+  'registry.title': 'Saved devices',
+  'registry.add': 'Add manually',
+  'registry.import': 'Import JSON',
+  'registry.export': 'Export JSON',
+  'registry.model': 'Model:',
+  'registry.serial': 'Serial number:',
+  'registry.fullId': 'Device ID:',
+  'registry.label': 'Label:',
+  'registry.note': 'Customer note:',
+  'registry.optional': 'Optional',
+  'registry.save': 'Save device',
+  'registry.colLabel': 'Label',
+  'registry.colModel': 'Model',
+  'registry.colSerial': 'Serial',
+  'registry.colId': 'ID',
+  'registry.colNote': 'Note',
+  'registry.empty': 'No saved devices — devices from .n27 files are saved here automatically',
+  'registry.delete': 'Remove from registry',
+  'registry.confirmDelete': p => `Remove ${p.name} (${p.fullId}) from the registry?`,
+  'registry.unavailable': 'The device registry is unavailable — devices will not be saved: ',
+  'registry.saveFailed': 'The device was not saved: ',
+  'registry.deleteFailed': 'Delete failed: ',
+  'registry.nothingToExport': 'No devices to export',
+  'registry.record': p => `Record ${p.index + 1}: ${p.message}`,
+  'registry.imported': p => `Imported ${p.count} devices`,
+  'registry.importSkipped': p => `${p.imported}, ${p.count} skipped — ${p.skipped}`,
+  'registry.importError': 'Import failed: ',
+
+  'author.title': 'New pack',
+  'author.subtitle': 'Build a PPI from style, registration and voice files',
+  'author.packTitle': 'Pack title:',
+  'author.uid': 'Pack ID (EUID):',
+  'author.upload': 'Drop files here or click to choose',
+  'author.items': 'Items:',
+  'author.colName': 'Name',
+  'author.colExtension': 'Extension',
+  'author.colIcon': 'Icon',
+  'author.colIconCode': 'Icon code',
+  'author.colSize': 'Size',
+  'author.downloadPPI': 'Download PPI',
+  'author.toCPI': 'Continue to CPI conversion',
+  'author.remove': 'Remove',
+  'author.readError': 'Could not read the files: ',
+  'author.buildError': 'Could not build the pack: ',
+  'author.done': p => `${p.fileName} (${p.size}) downloaded`,
+
+  'packs.title': 'Merge and split packs',
+  'packs.subtitle': 'Combine the items of several packs into one, or split a large pack into smaller ones',
+  'packs.mergeTitle': 'Merge packs',
+  'packs.mergeUpload': 'Click to choose .ppi or .ppf files (several at once)',
+  'packs.colPack': 'Pack',
+  'packs.colItems': 'Items',
+  'packs.colPackId': 'Install ID',
+  'packs.newTitle': 'New pack title:',
+  'packs.renew': 'New EUIDs for duplicate items (instead of leaving them out):',
+  'packs.mergeDownload': 'Download merged PPI',
+  'packs.mergeDone': p => `${p.fileName} (${p.size}) downloaded — ${p.count} items`,
+  'packs.splitTitle': 'Split a pack',
+  'packs.splitSummary': p => `${p.title} — ${p.count} items, ${p.size}`,
+  'packs.maxItems': 'Maximum items per pack:',
+  'packs.maxSize': 'Maximum size per pack (MB):',
+  'packs.firstPackId': 'Install ID of the first pack:',
+  'packs.splitDownload': 'Download ZIP of the packs',
+  'packs.splitDone': p => `${p.fileName} (${p.size}) downloaded — ${p.count} packs`,
+  'packs.readError': 'Could not read the pack: ',
+  'packs.fixErrors': 'Fix the errors before downloading',
+
+  'diff.title': 'Compare pack versions',
+  'diff.subtitle': 'What changed between two versions of a PPI or PPF — items are matched by EUID',
+  'diff.before': 'Previous version (.ppi / .ppf)',
+  'diff.after': 'New version (.ppi / .ppf)',
+  'diff.colChange': 'Change',
+  'diff.colItem': 'Item',
+  'diff.colDetails': 'Details',
+  'diff.header': 'Header',
+  'diff.added': 'Added',
+  'diff.removed': 'Removed',
+  'diff.renamed': 'Renamed',
+  'diff.changed': 'Content changed',
+  'diff.field.modelName': 'Model (XMDL)',
+  'diff.field.packInstallId': 'Install ID (XPID)',
+  'diff.field.uid': 'Pack EUID',
+  'diff.field.title': 'Pack title (ETIT)',
+  'diff.identical': p => `The packs are identical (${p.count} items)`,
+  'diff.summary': p => `${p.added} added, ${p.removed} removed, ${p.renamed} renamed, ${p.changed} with new content, ${p.unchanged} unchanged`,
+
+  'inspect.title': 'File inspector',
+  'inspect.subtitle': 'The full chunk tree of a PPI, PPF or CPI file',
+  'inspect.upload': 'Click to choose a file to inspect',
+  'inspect.format': 'Type:',
+  'inspect.size': 'Size:',
+  'inspect.diagnostics': 'Parser notes:',
+  'inspect.export': 'Export JSON',
+  'inspect.format.ppi': 'PPI (unencrypted)',
+  'inspect.format.ppf': 'PPF project',
+  'inspect.format.cpi': 'CPI (encrypted)',
+  'inspect.format.unknown': 'Unrecognized',
+  'inspect.none': 'None',
+  'inspect.downloadContent': 'Download content',
+  'inspect.error': 'Could not read the file: ',
+  'selfTest.label': 'Diagnostics: check the encryption engine against known DES/3DES vectors',
+  'selfTest.run': 'Run self-test',
+  'selfTest.mismatch': p => `expected ${p.expected}, got ${p.actual}`,
+  'selfTest.passed': p => `All ${p.count} checks passed — the encryption engine is working`,
+  'selfTest.failed': p => `${p.count} checks failed — the encryption engine in this browser is broken and CPI files made with it must not be used. Try another browser.`,
+
+  'history.title': 'Conversion history',
+  'history.subtitle': 'Which pack was installed on which device — kept in this browser only',
+  'history.export': 'Export CSV',
+  'history.clear': 'Clear history',
+  'history.colDate': 'Date',
+  'history.colPack': 'Pack',
+  'history.colTarget': 'Model / Slot',
+  'history.colDevice': 'Device',
+  'history.colFile': 'CPI file',
+  'history.empty': 'No conversions yet',
+  'history.count': p => `${p.count} conversions`,
+  'history.unlocked': 'Unlocked',
+  'history.downloadManifest': 'Download manifest',
+  'history.recordFailed': 'The conversion was not recorded in the history: ',
+  'history.unavailable': 'History is unavailable: ',
+  'history.exportFailed': 'Export failed: ',
+  'history.confirmClear': 'Delete the whole conversion history? Manifest files already downloaded are kept.',
+  'history.clearFailed': 'Delete failed: ',
+};
+
+const MESSAGES = { he, en };
+
+/** Switch the language t() and new errors use; unknown languages are ignored. Returns the active language. */
+function setLanguage(lang) {
+  if (LANGUAGES[lang]) language = lang;
+  return language;
+}
+
+function getLanguage() {
+  return language;
+}
+
+/**
+ * The message for a code in the given language (default: the active one).
+ * Falls back to Hebrew, then to the code itself, so a missing entry never throws.
+ */
+function t(code, params = {}, lang = language) {
+  const entry = MESSAGES[lang]?.[code] ?? MESSAGES[DEFAULT_LANGUAGE][code];
+  if (entry === undefined) return code;
+  return typeof entry === 'function' ? entry(params) : entry;
+}
+
+/**
+ * Error with a stable code; message is the catalog text in the active language.
+ * params are kept (and copied onto the error) so the message can be rebuilt in
+ * another language, or across a worker boundary, with t(err.code, err.params).
+ */
+class ConverterError extends Error {
+  constructor(code, params = {}) {
+    super(t(code, params));
+    this.name = 'ConverterError';
+    this.code = code;
+    this.params = params;
+    Object.assign(this, params);
+  }
+}
+
+export { ConverterError, t, setLanguage, getLanguage, LANGUAGES, DEFAULT_LANGUAGE, MESSAGES };
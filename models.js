@@ -0,0 +1,93 @@
+// ============================================================
+// Instrument model registry
+// ============================================================
+
+// Capabilities keyed by the model name exactly as parseN27 and XMDL report it.
+// A plain module rather than JSON, so the page loads in browsers without
+// JSON import attributes. Each entry:
+//   expansionMemoryMB  wave memory available to expansion packs
+//   installSlots       highest Pack Install ID (XPID) the instrument accepts
+//   extensions         content extensions (EEXT, lower-case, no dot) it loads
+// Add or correct models here; nothing else needs to change.
+const REGISTRY = {
+  Genos: {
+    expansionMemoryMB: 1800,
+    installSlots: 8,
+    extensions: ['sty', 'prs', 'bcs', 'sst', 'fps', 'rgt', 'pad', 'uvn', 'mid', 'plf'],
+  },
+  Genos2: {
+    expansionMemoryMB: 2800,
+    installSlots: 8,
+    extensions: ['sty', 'prs', 'bcs', 'sst', 'fps', 'rgt', 'pad', 'uvn', 'mid', 'plf'],
+  },
+  'PSR-SX920': {
+    expansionMemoryMB: 2000,
+    installSlots: 8,
+    extensions: ['sty', 'prs', 'bcs', 'sst', 'fps', 'rgt', 'pad', 'uvn', 'mid', 'plf'],
+  },
+  'PSR-SX900': {
+    expansionMemoryMB: 1000,
+    installSlots: 8,
+    extensions: ['sty', 'prs', 'bcs', 'sst', 'fps', 'rgt', 'pad', 'uvn', 'mid', 'plf'],
+  },
+  'PSR-SX720': {
+    expansionMemoryMB: 1000,
+    installSlots: 4,
+    extensions: ['sty', 'prs', 'bcs', 'sst', 'fps', 'rgt', 'pad', 'uvn', 'mid', 'plf'],
+  },
+  'PSR-SX700': {
+    expansionMemoryMB: 400,
+    installSlots: 4,
+    extensions: ['sty', 'prs', 'bcs', 'sst', 'fps', 'rgt', 'pad', 'uvn', 'mid', 'plf'],
+  },
+  'PSR-SX600': {
+    expansionMemoryMB: 160,
+    installSlots: 4,
+    extensions: ['sty', 'prs', 'bcs', 'sst', 'fps', 'rgt', 'pad', 'uvn', 'mid'],
+  },
+  Tyros5: {
+    expansionMemoryMB: 512,
+    installSlots: 4,
+    extensions: ['sty', 'prs', 'bcs', 'sst', 'fps', 'rgt', 'pad', 'vce', 't02', 'mid'],
+  },
+  'PSR-S975': {
+    expansionMemoryMB: 512,
+    installSlots: 4,
+    extensions: ['sty', 'prs', 'bcs', 'sst', 'fps', 'rgt', 'pad', 'vce', 'mid'],
+  },
+  'PSR-S775': {
+    expansionMemoryMB: 512,
+    installSlots: 4,
+    extensions: ['sty', 'prs', 'bcs', 'sst', 'fps', 'rgt', 'pad', 'vce', 'mid'],
+  },
+};
+
+function modelKey(name) {
+  return name.toLowerCase().replace(/[\s_-]/g, '');
+}
+
+const modelsByKey = new Map(Object.keys(REGISTRY).map(name => [modelKey(name), name]));
+
+/**
+ * Capabilities for a model name, matched exactly first and then ignoring case,
+ * spaces and dashes ("PSR SX900" finds "PSR-SX900"). Returns null if unknown.
+ * Returns { name, expansionMemoryBytes, installSlots, extensions: Set }
+ */
+function getModelInfo(modelName) {
+  if (!modelName) return null;
+  const name = Object.hasOwn(REGISTRY, modelName) ? modelName : modelsByKey.get(modelKey(modelName));
+  if (!name) return null;
+  const entry = REGISTRY[name];
+  return {
+    name,
+    expansionMemoryBytes: entry.expansionMemoryMB * 1024 * 1024,
+    installSlots: entry.installSlots,
+    extensions: new Set(entry.extensions.map(e => e.toLowerCase())),
+  };
+}
+
+function listModels() {
+  return Object.keys(REGISTRY);
+}
+
+export { getModelInfo, listModels };
@@ -0,0 +1,75 @@
+// ============================================================
+// multipart/form-data parser (Node, whole body in memory)
+// ============================================================
+
+import { ConverterError } from './messages.js';
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/** Boundary from a Content-Type header, or null when it is not multipart/form-data */
+function multipartBoundary(contentType) {
+  const match = /^multipart\/form-data\s*;.*?\bboundary=(?:"([^"]+)"|([^\s;]+))/i.exec(contentType ?? '');
+  return match ? match[1] ?? match[2] : null;
+}
+
+/** name and filename of a part's Content-Disposition header; filename is undefined for plain fields */
+function parseDisposition(value) {
+  const params = {};
+  for (const m of value.matchAll(/;\s*([\w*-]+)="((?:[^"\\]|\\.)*)"/g)) params[m[1].toLowerCase()] = m[2].replace(/\\(.)/g, '$1');
+  for (const m of value.matchAll(/;\s*([\w*-]+)=([^";\s]+)/g)) params[m[1].toLowerCase()] ??= m[2];
+  return { name: params.name, fileName: params.filename };
+}
+
+/**
+ * Split a multipart/form-data body into text fields and files.
+ * body: Buffer; contentType: the request's Content-Type header.
+ * options.maxParts caps the number of parts (default 1000).
+ * Returns { fields: { name: [string] }, files: { name: [{ fileName, contentType, data }] } } —
+ * data is a Uint8Array view into body, not a copy.
+ * Throws ConverterError E_UNSUPPORTED_MEDIA_TYPE or E_BAD_MULTIPART.
+ */
+function parseMultipart(body, contentType, options = {}) {
+  const { maxParts = 1000 } = options;
+  const boundary = multipartBoundary(contentType);
+  if (!boundary) throw new ConverterError('E_UNSUPPORTED_MEDIA_TYPE', { contentType: contentType ?? '' });
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const separator = Buffer.concat([CRLF, delimiter]);
+  const fields = {};
+  const files = {};
+
+  let pos = body.indexOf(delimiter);
+  if (pos < 0) throw new ConverterError('E_BAD_MULTIPART');
+  for (let parts = 0; ; parts++) {
+    pos += delimiter.length;
+    if (body[pos] === 0x2D && body[pos + 1] === 0x2D) break;   // closing "--boundary--"
+    if (!CRLF.equals(body.subarray(pos, pos + 2))) throw new ConverterError('E_BAD_MULTIPART');
+    if (parts === maxParts) throw new ConverterError('E_BAD_MULTIPART');
+
+    const headerEnd = body.indexOf(HEADER_END, pos);
+    const dataEnd = headerEnd < 0 ? -1 : body.indexOf(separator, headerEnd + HEADER_END.length);
+    if (dataEnd < 0) throw new ConverterError('E_BAD_MULTIPART');
+
+    const headers = {};
+    for (const line of body.toString('utf8', pos + 2, headerEnd).split('\r\n')) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    const { name, fileName } = parseDisposition(headers['content-disposition'] ?? '');
+    if (!name) throw new ConverterError('E_BAD_MULTIPART');
+
+    const data = body.subarray(headerEnd + HEADER_END.length, dataEnd);
+    if (fileName !== undefined) {
+      const view = new Uint8Array(data.buffer, data.byteOffset, data.length);
+      (files[name] ??= []).push({ fileName, contentType: headers['content-type'] ?? '', data: view });
+    } else {
+      (fields[name] ??= []).push(data.toString('utf8'));
+    }
+    pos = dataEnd + CRLF.length;
+  }
+
+  return { fields, files };
+}
+
+export { parseMultipart, multipartBoundary };
@@ -0,0 +1,41 @@
+// ============================================================
+// Cipher provider backed by Node's crypto (Node only)
+// ============================================================
+
+import { createCipheriv } from 'node:crypto';
+
+// OpenSSL 3 ships single DES only in its legacy provider, so DES runs as
+// 3DES-EDE with one key three times over (E_K(D_K(E_K(x))) = E_K(x)).
+const DES3 = 'des-ede3-cbc';
+
+// Bytes passed to cipher.update at a time, and between two onProgress calls
+const UPDATE_SIZE = 1024 * 1024;
+
+function cbcInPlace(data, key24, iv, onProgress) {
+  const cipher = createCipheriv(DES3, key24, iv).setAutoPadding(false);
+  for (let off = 0; off < data.length; off += UPDATE_SIZE) {
+    const end = Math.min(off + UPDATE_SIZE, data.length);
+    data.set(cipher.update(data.subarray(off, end)), off);
+    if (onProgress && end < data.length) onProgress(end, data.length);
+  }
+  cipher.final();
+  if (onProgress) onProgress(data.length, data.length);
+  return data;
+}
+
+/** Cipher provider for buildCPIFromPPI / buildEncryptedCPI options.cipher (see converter.js) */
+const nodeCipher = {
+  name: 'node',
+  desCbc(data, key, iv, onProgress = null) {
+    const key24 = new Uint8Array(24);
+    key24.set(key, 0);
+    key24.set(key, 8);
+    key24.set(key, 16);
+    return cbcInPlace(data, key24, iv, onProgress);
+  },
+  tripleDesCbc(data, key24, iv) {
+    return cbcInPlace(data, key24, iv, null);
+  },
+};
+
+export { nodeCipher };
@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+// ============================================================
+// cpi-tool HTTP service — the page plus a JSON/multipart API (Node)
+// ============================================================
+
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { createServer as createHttpServer } from 'node:http';
+import { basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  parseN27, validateDeviceInfo, parsePPFRaw, parsePPI, buildPPI, buildCPIFromPPI, retargetPPI, planBatch,
+  validatePack, inspect, streamBatchZip, describeFile, TOOL_VERSION,
+} from './converter.js';
+import { ConverterError, setLanguage, t } from './messages.js';
+import { parseMultipart } from './multipart.js';
+
+// Endpoints (all POST multipart/form-data; errors are JSON, see errorResponse):
+//   /api/convert  pack (file, .ppi/.ppf), n27 (file) or deviceId, lock (locked|standard),
+//                 model, packId, newUid, force → the CPI
+//   /api/inspect  file → { fileName, size, format, pack, device, tree } as JSON
+//   /api/batch    pack, n27 (files) and/or deviceId (fields), model, packId, newUid, force
+//                 → ZIP of CPIs, one folder per device, with manifests and index.csv,
+//                 streamed one CPI at a time (chunked, no Content-Length)
+// Everything else under / serves the page's static files.
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_MAX_UPLOAD_MB = 512;   // a request body; packs with wave data run to hundreds of MB
+const MAX_PARTS = 1000;
+const MAX_BATCH_DEVICES = 500;
+// Devices × pack size for one batch; the ZIP has no ZIP64, so this stays well under 4 GB
+const DEFAULT_MAX_BATCH_MB = 2048;
+
+const ROOT = new URL('.', import.meta.url);
+
+// The page and the modules it loads; nothing else on disk is served
+const STATIC_FILES = {
+  '/': 'index.html',
+  '/index.html': 'index.html',
+  ...Object.fromEntries([
+    'converter.js', 'cpi-worker.js', 'worker-pool.js', 'zip.js', 'sha256.js', 'messages.js',
+    'validate.js', 'models.js', 'device-registry.js',
+  ].map(name => [`/${name}`, name])),
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+};
+
+// HTTP status per error code; other ConverterErrors are 400, anything else 500
+const ERROR_STATUS = {
+  E_NOT_FOUND: 404,
+  E_METHOD_NOT_ALLOWED: 405,
+  E_PAYLOAD_TOO_LARGE: 413,
+  E_BATCH_TOO_LARGE: 413,
+  E_UNSUPPORTED_MEDIA_TYPE: 415,
+  E_VALIDATION: 422,
+  E_INTERNAL: 500,
+};
+
+// ---- Request helpers ----
+
+/** Read the request body, failing with E_PAYLOAD_TOO_LARGE past maxBytes (checked against Content-Length first) */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new ConverterError('E_PAYLOAD_TOO_LARGE', { limit: maxBytes });
+    if (Number(req.headers['content-length']) > maxBytes) {
+      reject(tooLarge());
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.pause();
+        req.removeAllListeners('data');
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks, size)));
+    req.on('error', reject);
+  });
+}
+
+/** Message language from Accept-Language: Hebrew when preferred, English otherwise */
+function requestLanguage(req) {
+  return /^\s*he\b/i.test(req.headers['accept-language'] ?? '') ? 'he' : 'en';
+}
+
+function field(form, name) {
+  return form.fields[name]?.[0]?.trim() || undefined;
+}
+
+function flag(form, name) {
+  return /^(1|true|on|yes)$/i.test(field(form, name) ?? '');
+}
+
+function requireFile(form, name) {
+  const file = form.files[name]?.[0];
+  if (!file) throw new ConverterError('E_MISSING_FIELD', { field: name });
+  return file;
+}
+
+function parsePackId(value) {
+  if (value === undefined) return undefined;
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 0 || id > 0xFFFFFFFF) throw new ConverterError('E_BAD_FIELD_VALUE', { field: 'packId', value });
+  return id;
+}
+
+/**
+ * A device given by ID alone: { modelName, serial: '', fullId }. The model is
+ * the pack's, so the model check against the device is skipped for it.
+ */
+function deviceFromId(fullId, modelName) {
+  const errors = validateDeviceInfo({ modelName, serial: fullId, fullId }).filter(e => e.field === 'fullId');
+  if (errors.length > 0) throw new ConverterError('E_BAD_FIELD_VALUE', { field: 'deviceId', value: fullId });
+  return { modelName, serial: '', fullId, byId: true };
+}
+
+// ---- Pack handling ----
+
+/**
+ * The uploaded pack as a retargeted ppiData, with its manifest input record.
+ * PPF projects go through an in-memory PPI, as the page's batch path does;
+ * they need model (or a device's model) since they carry none.
+ */
+function loadPack(form, deviceModel) {
+  const file = requireFile(form, 'pack');
+  const modelName = field(form, 'model');
+  const packInstallId = parsePackId(field(form, 'packId'));
+  const input = describeFile(basename(file.fileName || 'pack'), file.data);
+
+  let ppiData;
+  if (String.fromCharCode(...file.data.subarray(0, 4)) === 'XPFH') {
+    const target = modelName ?? deviceModel;
+    if (!target) throw new ConverterError('E_MISSING_FIELD', { field: 'model' });
+    ppiData = parsePPI(buildPPI(parsePPFRaw(file.data), target, packInstallId ?? 1));
+  } else {
+    ppiData = parsePPI(file.data);
+  }
+  return { input, ppiData: retargetPPI(ppiData, { modelName, packInstallId, regenerateUid: flag(form, 'newUid') }) };
+}
+
+/** Validate against every device (or none); throws E_VALIDATION with the issues unless force. Returns the warnings. */
+function checkPack(ppiData, devices, force) {
+  const errors = new Map();
+  const warnings = new Map();
+  for (const device of devices.length > 0 ? devices : [null]) {
+    const report = validatePack(ppiData, device?.byId ? null : device);
+    for (const e of report.errors) errors.set(e.message, e);
+    for (const w of report.warnings) warnings.set(w.message, w);
+  }
+  if (errors.size > 0 && !force) {
+    throw new ConverterError('E_VALIDATION', { count: errors.size, issues: { errors: [...errors.values()], warnings: [...warnings.values()] } });
+  }
+  return [...warnings.values()];
+}
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+// ---- Endpoints ----
+
+function apiConvert(form) {
+  const lock = field(form, 'lock') ?? (form.files.n27 || field(form, 'deviceId') ? 'locked' : 'standard');
+  if (lock !== 'locked' && lock !== 'standard') throw new ConverterError('E_BAD_FIELD_VALUE', { field: 'lock', value: lock });
+
+  const n27 = lock === 'locked' ? form.files.n27?.[0] : undefined;
+  const deviceId = lock === 'locked' && !n27 ? field(form, 'deviceId') : undefined;
+  if (lock === 'locked' && !n27 && !deviceId) throw new ConverterError('E_MISSING_FIELD', { field: 'n27' });
+
+  const n27Device = n27 ? parseN27(n27.data) : null;
+  const { input, ppiData } = loadPack(form, n27Device?.modelName);
+  const device = deviceId ? deviceFromId(deviceId, ppiData.modelName) : n27Device;
+  const warnings = checkPack(ppiData, device ? [device] : [], flag(form, 'force'));
+
+  const cpi = buildCPIFromPPI(ppiData, device?.fullId ?? null);
+  const fileName = `${ppiData.modelName}_PackInstallData.cpi`;
+  return {
+    headers: {
+      'content-type': 'application/octet-stream',
+      'content-disposition': `attachment; filename="${fileName}"`,
+      'x-cpi-sha256': sha256(cpi),
+      'x-cpi-input-sha256': input.sha256,
+      'x-validation-warnings': warnings.map(w => w.code).join(','),
+    },
+    body: cpi,
+  };
+}
+
+function apiInspect(form) {
+  const file = form.files.file?.[0] ?? Object.values(form.files)[0]?.[0];
+  if (!file) throw new ConverterError('E_MISSING_FIELD', { field: 'file' });
+  const { data } = file;
+  const tree = inspect(data);
+
+  let pack = null;
+  let device = null;
+  if (tree.format === 'ppi' || tree.format === 'ppf') {
+    const packData = tree.format === 'ppi' ? parsePPI(data) : { ...parsePPFRaw(data), modelName: null, packInstallId: 1 };
+    const { errors, warnings } = validatePack(packData, null);
+    pack = {
+      title: packData.title,
+      uid: packData.uid,
+      modelName: packData.modelName,
+      packInstallId: tree.format === 'ppi' ? packData.packInstallId : null,
+      packType: packData.packType ?? 'standard',
+      waveMemoryBytes: packData.waveMemoryBytes ?? 0,
+      items: packData.blobs.map(b => ({ uid: b.uid, title: b.title, extension: b.extension, iconCode: b.iconCode, size: b.binaryData.length })),
+      errors,
+      warnings,
+    };
+  } else if (tree.format === 'unknown' && /\.n27$/i.test(file.fileName)) {
+    const { modelName, serial, fullId, family, extra, warnings } = parseN27(data);
+    device = { modelName, serial, fullId, family, extra, warnings };
+  }
+
+  return json(200, { fileName: file.fileName, size: data.length, format: device ? 'n27' : tree.format, pack, device, tree });
+}
+
+function apiBatch(form, { maxBatchBytes }) {
+  const devices = (form.files.n27 ?? []).map(file => parseN27(file.data));
+  const { input, ppiData } = loadPack(form, devices[0]?.modelName);
+  for (const id of form.fields.deviceId ?? []) {
+    if (id.trim()) devices.push(deviceFromId(id.trim(), ppiData.modelName));
+  }
+  if (devices.length === 0) throw new ConverterError('E_MISSING_FIELD', { field: 'n27' });
+  if (devices.length > MAX_BATCH_DEVICES) throw new ConverterError('E_TOO_MANY_DEVICES', { max: MAX_BATCH_DEVICES });
+  if (devices.length * input.size > maxBatchBytes) {
+    throw new ConverterError('E_BATCH_TOO_LARGE', { limit: maxBatchBytes, size: devices.length * input.size });
+  }
+  const warnings = checkPack(ppiData, devices, flag(form, 'force'));
+
+  const plan = planBatch(ppiData.modelName, devices);
+  const fileName = `${ppiData.modelName}_PackInstallData_${plan.length}.zip`;
+  return {
+    headers: {
+      'content-type': 'application/zip',
+      'content-disposition': `attachment; filename="${fileName}"`,
+      'x-validation-warnings': warnings.map(w => w.code).join(','),
+    },
+    body: streamBatchZip(ppiData, plan, { input }),
+  };
+}
+
+const ROUTES = { '/api/convert': apiConvert, '/api/inspect': apiInspect, '/api/batch': apiBatch };
+
+// ---- Responses ----
+
+function json(status, value) {
+  return { status, headers: { 'content-type': 'application/json; charset=utf-8' }, body: JSON.stringify(value, null, 2) + '\n' };
+}
+
+/**
+ * JSON error body: { error: { code, message, ...details } }. Details are the
+ * error's params (e.g. field, limit, issues); the message is rebuilt from them
+ * in the request's language. Unexpected errors are logged and reported as
+ * E_INTERNAL without their message.
+ */
+function errorResponse(err) {
+  if (!(err instanceof ConverterError)) {
+    console.error(err);
+    err = new ConverterError('E_INTERNAL');
+  }
+  return json(ERROR_STATUS[err.code] ?? 400, { error: { code: err.code, message: t(err.code, err.params), ...err.params } });
+}
+
+/** Resolves once res can take more data, or has been closed */
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Write a response. body is a string, a Uint8Array or an array of them, sent
+ * with a Content-Length; any other iterable of Uint8Arrays is pulled one part
+ * at a time as the client takes it and sent chunked.
+ */
+async function send(res, { status = 200, headers, body }) {
+  const sized = typeof body === 'string' || body instanceof Uint8Array || Array.isArray(body);
+  const parts = sized && !Array.isArray(body) ? [body] : body;
+  const length = sized ? { 'content-length': parts.reduce((sum, p) => sum + (typeof p === 'string' ? Buffer.byteLength(p) : p.length), 0) } : {};
+  res.writeHead(status, { ...headers, ...length, 'x-cpi-tool-version': TOOL_VERSION });
+  for (const part of parts) {
+    // A client that has gone away stops the body, so a streamed batch builds no more CPIs
+    if (res.destroyed) return;
+    if (!res.write(part)) await drained(res);
+  }
+  res.end();
+}
+
+async function serveStatic(req) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const name = STATIC_FILES[pathname];
+  if (!name) throw new ConverterError('E_NOT_FOUND', { path: pathname });
+  if (req.method !== 'GET' && req.method !== 'HEAD') throw new ConverterError('E_METHOD_NOT_ALLOWED', { method: req.method });
+  const body = await readFile(new URL(name, ROOT));
+  return { headers: { 'content-type': CONTENT_TYPES[name.slice(name.lastIndexOf('.'))] }, body };
+}
+
+/**
+ * The HTTP server (not yet listening).
+ * options.maxUploadBytes: request body limit (default DEFAULT_MAX_UPLOAD_MB).
+ * options.maxBatchBytes: devices × pack size limit for /api/batch (default DEFAULT_MAX_BATCH_MB).
+ */
+function createServer(options = {}) {
+  const { maxUploadBytes = DEFAULT_MAX_UPLOAD_MB * 1024 * 1024, maxBatchBytes = DEFAULT_MAX_BATCH_MB * 1024 * 1024 } = options;
+
+  return createHttpServer(async (req, res) => {
+    let response;
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const route = ROUTES[pathname];
+      if (!route) {
+        response = await serveStatic(req);
+      } else {
+        if (req.method !== 'POST') throw new ConverterError('E_METHOD_NOT_ALLOWED', { method: req.method });
+        const body = await readBody(req, maxUploadBytes);
+        // Routes answer synchronously (a streamed batch body yields only bytes, no messages),
+        // so the language set for this request holds until its errors are reported
+        setLanguage(requestLanguage(req));
+        response = route(parseMultipart(body, req.headers['content-type'], { maxParts: MAX_PARTS }), { maxBatchBytes });
+      }
+    } catch (err) {
+      setLanguage(requestLanguage(req));
+      response = errorResponse(err);
+      // The rest of an oversized body is not read; close the connection after answering
+      if (err.code === 'E_PAYLOAD_TOO_LARGE') res.setHeader('connection', 'close');
+    }
+    try {
+      await send(res, response);
+    } catch (err) {
+      res.destroy(err);
+    }
+  });
+}
+
+// ---- Entry point ----
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  const port = Number(process.env.PORT ?? DEFAULT_PORT);
+  const host = process.env.HOST ?? DEFAULT_HOST;
+  const maxUploadBytes = Math.floor(Number(process.env.CPI_MAX_UPLOAD_MB ?? DEFAULT_MAX_UPLOAD_MB) * 1024 * 1024);
+  const maxBatchBytes = Math.floor(Number(process.env.CPI_MAX_BATCH_MB ?? DEFAULT_MAX_BATCH_MB) * 1024 * 1024);
+  const server = createServer({ maxUploadBytes, maxBatchBytes });
+  server.listen(port, host, () => console.log(`cpi-tool ${TOOL_VERSION} listening on http://${host}:${port}`));
+  // As PID 1 in a container, node only stops on signals it handles
+  for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, () => server.close(() => process.exit(0)));
+}
+
+export { createServer, STATIC_FILES };
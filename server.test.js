@@ -0,0 +1,134 @@
+// ============================================================
+// server.js tests: node --test
+// ============================================================
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { buildPPI, buildCPIFromPPI, parsePPI } from './converter.js';
+import { crc32 } from './zip.js';
+import { parseMultipart } from './multipart.js';
+import { createServer } from './server.js';
+
+const DEVICE_ID = 'ABCDEF0123456789';
+const ppi = buildPPI({
+  uid: 'PACK-UID', title: 'Pack',
+  blobs: [{ uid: 'B1', title: 'Style', extension: 'sty', iconCode: null, binaryData: new Uint8Array(100).fill(7) }],
+}, 'Genos', 1);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  // Room for a two-device batch of the test pack, not three
+  server = createServer({ maxUploadBytes: 64 * 1024, maxBatchBytes: ppi.length * 2 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/** Entries of a stored ZIP by name, read through its central directory and checked against their CRCs */
+function unzip(zip) {
+  const eocd = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const entries = new Map();
+  let pos = zip.readUInt32LE(eocd + 16);
+  for (let i = 0; i < zip.readUInt16LE(eocd + 10); i++) {
+    assert.equal(zip.readUInt32LE(pos), 0x02014b50);
+    const crc = zip.readUInt32LE(pos + 16);
+    const size = zip.readUInt32LE(pos + 24);
+    const nameLength = zip.readUInt16LE(pos + 28);
+    const name = zip.toString('utf8', pos + 46, pos + 46 + nameLength);
+    const local = zip.readUInt32LE(pos + 42);
+    assert.equal(zip.readUInt32LE(local), 0x04034b50);
+    const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    const data = zip.subarray(start, start + size);
+    assert.equal(crc32(data), crc, name);
+    entries.set(name, data);
+    pos += 46 + nameLength + zip.readUInt16LE(pos + 30) + zip.readUInt16LE(pos + 32);
+  }
+  return entries;
+}
+
+function post(path, fields, headers = {}) {
+  const form = new FormData();
+  for (const [name, value] of fields) {
+    if (value instanceof Uint8Array) form.append(name, new Blob([value]), `${name}.bin`);
+    else form.append(name, value);
+  }
+  return fetch(baseUrl + path, { method: 'POST', body: form, headers });
+}
+
+test('convert returns the same CPI the converter builds', async () => {
+  const res = await post('/api/convert', [['pack', ppi], ['deviceId', DEVICE_ID]]);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-disposition'), 'attachment; filename="Genos_PackInstallData.cpi"');
+  const cpi = new Uint8Array(await res.arrayBuffer());
+  const expected = buildCPIFromPPI(parsePPI(ppi), DEVICE_ID);
+  // The locked CSEC is random; the header before it and the encrypted payload after it are not
+  const csecEnd = parsePPI(ppi).xpihChunk.length + 8 + 120;
+  assert.equal(cpi.length, expected.length);
+  assert.deepEqual(cpi.subarray(csecEnd), expected.subarray(csecEnd));
+});
+
+test('errors are JSON with a stable code, in the requested language', async () => {
+  const bad = await post('/api/convert', [['pack', new Uint8Array(16)]], { 'accept-language': 'he-IL,he;q=0.9' });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(await bad.json(), { error: { code: 'E_NO_XPIH', message: 'קובץ PPI לא תקין — חסר XPIH header' } });
+
+  const invalid = await post('/api/convert', [['pack', ppi], ['packId', '99']]);
+  assert.equal(invalid.status, 422);
+  const { error } = await invalid.json();
+  assert.equal(error.code, 'E_VALIDATION');
+  assert.deepEqual(error.issues.errors.map(e => e.code), ['SLOT_UNAVAILABLE']);
+
+  const tooLarge = await post('/api/inspect', [['file', new Uint8Array(128 * 1024)]]);
+  assert.equal(tooLarge.status, 413);
+  assert.equal((await tooLarge.json()).error.code, 'E_PAYLOAD_TOO_LARGE');
+
+  const wrongMethod = await fetch(`${baseUrl}/api/batch`);
+  assert.equal(wrongMethod.status, 405);
+});
+
+test('inspect reports pack info and the chunk tree; batch streams a ZIP within its size limit', async () => {
+  const info = await (await post('/api/inspect', [['file', ppi]])).json();
+  assert.equal(info.format, 'ppi');
+  assert.equal(info.pack.uid, 'PACK-UID');
+  assert.equal(info.pack.items[0].size, 100);
+  assert.equal(info.tree.nodes[0].id, 'XPIH');
+
+  const res = await post('/api/batch', [['pack', ppi], ['deviceId', DEVICE_ID], ['deviceId', 'SECOND0123456789']]);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/zip');
+  assert.equal(res.headers.get('content-length'), null);
+  const entries = unzip(Buffer.from(await res.arrayBuffer()));
+  assert.deepEqual([...entries.keys()], [
+    `${DEVICE_ID}/Genos_PackInstallData.cpi`, `${DEVICE_ID}/Genos_PackInstallData.manifest.json`,
+    'SECOND0123456789/Genos_PackInstallData.cpi', 'SECOND0123456789/Genos_PackInstallData.manifest.json',
+    'index.csv',
+  ]);
+  const cpi = entries.get('SECOND0123456789/Genos_PackInstallData.cpi');
+  assert.equal(cpi.length, buildCPIFromPPI(parsePPI(ppi), 'SECOND0123456789').length);
+  const manifest = JSON.parse(entries.get('SECOND0123456789/Genos_PackInstallData.manifest.json'));
+  assert.equal(manifest.output.size, cpi.length);
+  assert.equal(manifest.output.sha256, createHash('sha256').update(cpi).digest('hex'));
+
+  const tooLarge = await post('/api/batch', [['pack', ppi], ...['ONE', 'TWO', 'THREE'].map(s => ['deviceId', s.padEnd(16, '0')])]);
+  assert.equal(tooLarge.status, 413);
+  assert.equal((await tooLarge.json()).error.code, 'E_BATCH_TOO_LARGE');
+});
+
+test('multipart parser handles quoted boundaries, repeated fields and binary files', () => {
+  const body = Buffer.concat([
+    Buffer.from('--a b\r\nContent-Disposition: form-data; name="deviceId"\r\n\r\nONE\r\n'),
+    Buffer.from('--a b\r\nContent-Disposition: form-data; name="deviceId"\r\n\r\nTWO\r\n'),
+    Buffer.from('--a b\r\nContent-Disposition: form-data; name="pack"; filename="p.ppi"\r\nContent-Type: application/octet-stream\r\n\r\n'),
+    Buffer.from([0, 13, 10, 45, 45, 255]),
+    Buffer.from('\r\n--a b--\r\n'),
+  ]);
+  const { fields, files } = parseMultipart(body, 'multipart/form-data; boundary="a b"');
+  assert.deepEqual(fields.deviceId, ['ONE', 'TWO']);
+  assert.equal(files.pack[0].fileName, 'p.ppi');
+  assert.deepEqual([...files.pack[0].data], [0, 13, 10, 45, 45, 255]);
+  assert.throws(() => parseMultipart(body.subarray(0, 60), 'multipart/form-data; boundary="a b"'), { code: 'E_BAD_MULTIPART' });
+});
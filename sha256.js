@@ -0,0 +1,116 @@
+// ============================================================
+// Incremental SHA-256 (no dependencies)
+// ============================================================
+
+// Web Crypto's digest() only hashes a whole buffer at once; streamed CPIs are
+// hashed segment by segment as they are written, so this one is incremental.
+
+const K = new Int32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+];
+
+/** Compress the 64-byte blocks of buf[off..end) into state (Int32Array(8)); w is scratch (Int32Array(64)) */
+function compress(state, w, buf, off, end) {
+  for (; off < end; off += 64) {
+    for (let i = 0; i < 16; i++) {
+      const p = off + i * 4;
+      w[i] = (buf[p] << 24) | (buf[p + 1] << 16) | (buf[p + 2] << 8) | buf[p + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const x = w[i - 15];
+      const y = w[i - 2];
+      const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+      const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let a = state[0], b = state[1], c = state[2], d = state[3];
+    let e = state[4], f = state[5], g = state[6], h = state[7];
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const t1 = (h + S1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+    state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+  }
+}
+
+/**
+ * Incremental hash: update(bytes) any number of times, then digest() once.
+ * digest() returns the 32-byte hash; hex() the same as lowercase hex.
+ */
+function createSha256() {
+  const state = new Int32Array(INITIAL_STATE);
+  const w = new Int32Array(64);
+  const pending = new Uint8Array(64);  // bytes of a partial block
+  let pendingLength = 0;
+  let total = 0;
+
+  function update(data) {
+    total += data.length;
+    let off = 0;
+    if (pendingLength > 0) {
+      const take = Math.min(64 - pendingLength, data.length);
+      pending.set(data.subarray(0, take), pendingLength);
+      pendingLength += take;
+      off = take;
+      if (pendingLength < 64) return hash;
+      compress(state, w, pending, 0, 64);
+      pendingLength = 0;
+    }
+    const end = off + ((data.length - off) & ~63);
+    compress(state, w, data, off, end);
+    pending.set(data.subarray(end), 0);
+    pendingLength = data.length - end;
+    return hash;
+  }
+
+  function digest() {
+    // Padding: 0x80, zeros, then the message length in bits as a 64-bit big-endian integer
+    const tail = new Uint8Array(pendingLength < 56 ? 64 : 128);
+    tail.set(pending.subarray(0, pendingLength));
+    tail[pendingLength] = 0x80;
+    const bits = total * 8;
+    const high = Math.floor(bits / 0x100000000);
+    const n = tail.length;
+    tail[n - 8] = high >>> 24; tail[n - 7] = high >>> 16; tail[n - 6] = high >>> 8; tail[n - 5] = high;
+    tail[n - 4] = bits >>> 24; tail[n - 3] = bits >>> 16; tail[n - 2] = bits >>> 8; tail[n - 1] = bits;
+    compress(state, w, tail, 0, n);
+
+    const out = new Uint8Array(32);
+    for (let i = 0; i < 8; i++) {
+      out[i * 4] = state[i] >>> 24; out[i * 4 + 1] = state[i] >>> 16;
+      out[i * 4 + 2] = state[i] >>> 8; out[i * 4 + 3] = state[i];
+    }
+    return out;
+  }
+
+  const hash = {
+    update,
+    digest,
+    hex: () => Array.from(digest(), b => b.toString(16).padStart(2, '0')).join(''),
+  };
+  return hash;
+}
+
+/** SHA-256 of one buffer as lowercase hex */
+function sha256Hex(data) {
+  return createSha256().update(data).hex();
+}
+
+export { createSha256, sha256Hex };
@@ -0,0 +1,113 @@
+// ============================================================
+// Pre-encryption pack validation
+// ============================================================
+
+import { getModelInfo } from './models.js';
+import { t } from './messages.js';
+
+// Install IDs the pack-building tool writes into XPID, for models not in the registry.
+const PACK_INSTALL_ID_MIN = 1;
+const PACK_INSTALL_ID_MAX = 16;
+
+// Content extensions (EEXT) found in instrument packs, lower-case without the dot.
+// Used when the target model is not in the registry.
+const KNOWN_EXTENSIONS = new Set([
+  'sty', 'fps', 'sst', 'prs', 'bcs', 'pcs',   // styles
+  'rgt',                                      // registration banks
+  'pad',                                      // multi pads
+  'uvn', 'vce', 't02',                        // user voices
+  'mid', 'mdl',                               // songs
+  'plf',                                      // playlists
+]);
+
+// Parser diagnostics (readChunks) → validation issue; truncated and unparsed chunks block the build
+const DIAGNOSTIC_ISSUES = {
+  skipped: { code: 'SKIPPED_BYTES', error: false },
+  truncated: { code: 'TRUNCATED_CHUNK', error: true },
+  unparsed: { code: 'UNPARSED_BYTES', error: true },
+  unknown: { code: 'UNKNOWN_CHUNK', error: false },
+  trailing: { code: 'TRAILING_BYTES', error: false },
+};
+
+function normalizeExtension(ext) {
+  return ext.trim().replace(/^\./, '').toLowerCase();
+}
+
+/**
+ * Check a parsed pack before it is encrypted.
+ * packData: parsePPI result, or parsePPFRaw result plus { modelName, packInstallId }.
+ * When the target model is in the registry (models.js) the install slot,
+ * content extensions and wave memory are checked against its capabilities.
+ * deviceInfo: parseN27 result, or null when the CPI is not device-locked.
+ * Returns { ok, errors, warnings } — each issue is { code, message, ...params },
+ * message being t(code, params) in the active language.
+ */
+function validatePack(packData, deviceInfo) {
+  const errors = [];
+  const warnings = [];
+  const issue = (code, params = {}) => ({ code, message: t(code, params), ...params });
+
+  if (deviceInfo && deviceInfo.modelName !== packData.modelName) {
+    errors.push(issue('MODEL_MISMATCH', { packModel: packData.modelName, deviceModel: deviceInfo.modelName }));
+  }
+
+  const model = getModelInfo(packData.modelName);
+  if (packData.modelName && !model) {
+    warnings.push(issue('UNKNOWN_MODEL', { modelName: packData.modelName }));
+  }
+
+  const id = packData.packInstallId;
+  if (model && Number.isInteger(id) && id > model.installSlots) {
+    errors.push(issue('SLOT_UNAVAILABLE', { packInstallId: id, installSlots: model.installSlots, modelName: model.name }));
+  } else if (!Number.isInteger(id) || id < PACK_INSTALL_ID_MIN || id > PACK_INSTALL_ID_MAX) {
+    errors.push(issue('PACK_ID_RANGE', { packInstallId: id, min: PACK_INSTALL_ID_MIN, max: PACK_INSTALL_ID_MAX }));
+  }
+
+  if (model && packData.waveMemoryBytes > model.expansionMemoryBytes) {
+    errors.push(issue('WAVE_MEMORY_EXCEEDED', {
+      required: packData.waveMemoryBytes,
+      available: model.expansionMemoryBytes,
+      modelName: model.name,
+    }));
+  }
+
+  if (!packData.uid) errors.push(issue('EMPTY_EUID'));
+  if (!packData.title) warnings.push(issue('MISSING_ETIT'));
+  if (packData.blobs.length === 0) warnings.push(issue('NO_ITEMS'));
+
+  // EUID → title of the item using it; undefined for the pack's own EUID
+  const seen = new Map();
+  if (packData.uid) seen.set(packData.uid, undefined);
+
+  packData.blobs.forEach((blob, index) => {
+    const item = { blob: index, title: blob.title };
+
+    if (!blob.uid) {
+      errors.push(issue('EMPTY_EUID', item));
+    } else if (seen.has(blob.uid)) {
+      errors.push(issue('DUPLICATE_EUID', { ...item, uid: blob.uid, usedBy: seen.get(blob.uid) }));
+    } else {
+      seen.set(blob.uid, blob.title || t('itemName', item));
+    }
+
+    if (!blob.title) warnings.push(issue('MISSING_ETIT', { blob: index }));
+
+    if (blob.binaryData.length === 0) errors.push(issue('EMPTY_FBIN', item));
+
+    const ext = normalizeExtension(blob.extension);
+    if (model && !model.extensions.has(ext)) {
+      warnings.push(issue('UNSUPPORTED_EEXT', { ...item, extension: blob.extension, modelName: model.name }));
+    } else if (!model && !KNOWN_EXTENSIONS.has(ext)) {
+      warnings.push(issue('UNEXPECTED_EEXT', { ...item, extension: blob.extension }));
+    }
+  });
+
+  for (const d of packData.diagnostics ?? []) {
+    const rule = DIAGNOSTIC_ISSUES[d.type];
+    if (rule) (rule.error ? errors : warnings).push(issue(rule.code, d));
+  }
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+export { validatePack, normalizeExtension, KNOWN_EXTENSIONS, PACK_INSTALL_ID_MIN, PACK_INSTALL_ID_MAX };
@@ -0,0 +1,144 @@
+// ============================================================
+// Worker pool for off-main-thread CPI encryption
+// ============================================================
+
+import { ConverterError } from './messages.js';
+
+const WORKER_URL = new URL('./cpi-worker.js', import.meta.url);
+
+// Leave a core for the page; every worker holds its own copy of the payload.
+const MAX_WORKERS = 4;
+
+function defaultConcurrency() {
+  const cores = globalThis.navigator?.hardwareConcurrency ?? 2;
+  return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+}
+
+/**
+ * The message posting a task to a worker. Only the XPIH and payload are needed
+ * to encrypt a PPI, so the parsed blobs are not cloned; the XPIH is copied out
+ * because as a view it would drag its whole file buffer into the clone.
+ */
+function taskMessage(task, id) {
+  const stream = Boolean(task.onSegment);
+  if (task.kind === 'ppf') {
+    const { packData, modelName, packInstallId, fullId } = task;
+    return { id, kind: 'ppf', packData, modelName, packInstallId, fullId, stream };
+  }
+  const { xpihChunk, payloadRaw } = task.ppiData;
+  return { id, kind: 'ppi', ppiData: { xpihChunk: xpihChunk.slice(), payloadRaw }, fullId: task.fullId, stream };
+}
+
+/**
+ * Build CPIs in module workers (cpi-worker.js).
+ * tasks: [{ kind: 'ppi', ppiData, fullId, onSegment?, onDone? }
+ *       | { kind: 'ppf', packData, modelName, packInstallId, fullId, onSegment?, onDone? }]
+ * A task with onSegment(data) is streamed: the CPI arrives as consecutive
+ * segments, each passed to onSegment (awaited in order, so it may write to a
+ * stream), and its result carries no cpi. Each segment is acknowledged once
+ * onSegment settles and the worker keeps only a few unacknowledged, so a slow
+ * writer slows the worker instead of piling segments up in the page.
+ * A task's onDone(result), if given, is awaited after its last onSegment and
+ * before the task counts as finished.
+ * options.concurrency: workers to run in parallel (default: cores - 1, at most MAX_WORKERS)
+ * options.onProgress(done, total): payload bytes encrypted across all tasks
+ * Returns { promise, cancel } — promise resolves to { cpi, size, sha256 } per task,
+ * in task order, with the SHA-256 taken in the worker;
+ * cancel() terminates the workers and rejects it with an AbortError.
+ */
+function runConversions(tasks, options = {}) {
+  const concurrency = Math.min(tasks.length, options.concurrency ?? defaultConcurrency());
+  const results = new Array(tasks.length);
+  const progress = tasks.map(() => ({ done: 0, total: 0 }));
+  const writes = tasks.map(() => Promise.resolve());   // pending onSegment calls per task
+  const workers = new Set();
+  let next = 0;
+  let finished = 0;
+  let settled = false;
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+
+  // Tasks that have not reported yet are counted at the largest known total
+  // (batch tasks all encrypt the same payload).
+  function reportProgress() {
+    if (!options.onProgress) return;
+    const known = Math.max(...progress.map(p => p.total));
+    let done = 0;
+    let total = 0;
+    for (const p of progress) {
+      done += p.done;
+      total += p.total || known;
+    }
+    options.onProgress(done, total);
+  }
+
+  function stop(err) {
+    if (settled) return;
+    settled = true;
+    for (const worker of workers) worker.terminate();
+    workers.clear();
+    if (err) reject(err);
+    else resolve(results);
+  }
+
+  function startWorker() {
+    const worker = new Worker(WORKER_URL, { type: 'module' });
+    workers.add(worker);
+
+    const dispatch = () => {
+      if (next >= tasks.length) {
+        worker.terminate();
+        workers.delete(worker);
+        return;
+      }
+      const id = next++;
+      worker.postMessage(taskMessage(tasks[id], id));
+    };
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') {
+        progress[msg.id] = { done: msg.done, total: msg.total };
+        reportProgress();
+      } else if (msg.type === 'segment') {
+        const { onSegment } = tasks[msg.id];
+        writes[msg.id] = writes[msg.id].then(async () => {
+          if (settled) return;
+          await onSegment(msg.data);
+          worker.postMessage({ id: msg.id, type: 'ack' });
+        });
+        writes[msg.id].catch(stop);
+      } else if (msg.type === 'done') {
+        const id = msg.id;
+        const result = { cpi: msg.cpi, size: msg.size, sha256: msg.sha256 };
+        writes[id] = writes[id].then(() => settled ? undefined : tasks[id].onDone?.(result));
+        writes[id].then(() => {
+          results[id] = result;
+          if (++finished === tasks.length) stop(null);
+        }, stop);
+        dispatch();
+      } else if (msg.type === 'error') {
+        stop(msg.code ? new ConverterError(msg.code, msg.params) : new Error(msg.message));
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      stop(e.message ? new Error(e.message) : new ConverterError('E_WORKER_FAILED'));
+    };
+
+    dispatch();
+  }
+
+  if (tasks.length === 0) resolve(results);
+  for (let i = 0; i < concurrency; i++) startWorker();
+
+  function cancel() {
+    const err = new ConverterError('E_CANCELLED');
+    err.name = 'AbortError';
+    stop(err);
+  }
+
+  return { promise, cancel };
+}
+
+export { runConversions };
@@ -0,0 +1,195 @@
+// ============================================================
+// Minimal ZIP writer (store only, no dependencies)
+// ============================================================
+
+// CPI payloads are DES-encrypted and do not compress, so entries are stored
+// as-is. No ZIP64: each entry and the whole archive must stay under 4 GB.
+
+const textEncoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/** CRC-32 of data; pass the CRC of the bytes before it to continue a running checksum */
+function crc32(data, previous = 0) {
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** MS-DOS date/time words used by ZIP headers */
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >>> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// General purpose flags: UTF-8 names, plus a data descriptor after the data
+// when CRC and sizes are not known up front
+const FLAG_UTF8 = 0x0800;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+
+function localHeader(name, { flags, time, day, crc, size }) {
+  const local = new Uint8Array(30 + name.length);
+  const lv = new DataView(local.buffer);
+  lv.setUint32(0, 0x04034b50, true);   // local file header signature
+  lv.setUint16(4, 20, true);           // version needed
+  lv.setUint16(6, flags, true);
+  lv.setUint16(8, 0, true);            // method: store
+  lv.setUint16(10, time, true);
+  lv.setUint16(12, day, true);
+  lv.setUint32(14, crc, true);
+  lv.setUint32(18, size, true);        // compressed size
+  lv.setUint32(22, size, true);        // uncompressed size
+  lv.setUint16(26, name.length, true);
+  lv.setUint16(28, 0, true);           // extra length
+  local.set(name, 30);
+  return local;
+}
+
+function centralHeader(name, { flags, time, day, crc, size, offset }) {
+  const central = new Uint8Array(46 + name.length);
+  const cv = new DataView(central.buffer);
+  cv.setUint32(0, 0x02014b50, true);   // central directory signature
+  cv.setUint16(4, 20, true);           // version made by
+  cv.setUint16(6, 20, true);           // version needed
+  cv.setUint16(8, flags, true);
+  cv.setUint16(10, 0, true);
+  cv.setUint16(12, time, true);
+  cv.setUint16(14, day, true);
+  cv.setUint32(16, crc, true);
+  cv.setUint32(20, size, true);
+  cv.setUint32(24, size, true);
+  cv.setUint16(28, name.length, true);
+  cv.setUint32(42, offset, true);      // local header offset
+  central.set(name, 46);
+  return central;
+}
+
+function dataDescriptor({ crc, size }) {
+  const descriptor = new Uint8Array(16);
+  const dv = new DataView(descriptor.buffer);
+  dv.setUint32(0, 0x08074b50, true);   // data descriptor signature
+  dv.setUint32(4, crc, true);
+  dv.setUint32(8, size, true);
+  dv.setUint32(12, size, true);
+  return descriptor;
+}
+
+function endOfCentralDirectory(count, centralSize, centralOffset) {
+  const eocd = new Uint8Array(22);
+  const ev = new DataView(eocd.buffer);
+  ev.setUint32(0, 0x06054b50, true);     // end of central directory signature
+  ev.setUint16(8, count, true);
+  ev.setUint16(10, count, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, centralOffset, true);
+  return eocd;
+}
+
+function entryData(data) {
+  return typeof data === 'string' ? textEncoder.encode(data) : data;
+}
+
+/**
+ * Build a ZIP archive as a list of parts to be concatenated in order (e.g. as
+ * Blob parts); entry data is referenced, not copied.
+ * entries: [{ name, data: Uint8Array | string }]
+ */
+function createZipParts(entries, date = new Date()) {
+  const { time, day } = dosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = textEncoder.encode(entry.name);
+    const data = entryData(entry.data);
+    const header = { flags: FLAG_UTF8, time, day, crc: crc32(data), size: data.length, offset };
+    const local = localHeader(name, header);
+    localParts.push(local, data);
+    centralParts.push(centralHeader(name, header));
+    offset += local.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((s, a) => s + a.length, 0);
+  return [...localParts, ...centralParts, endOfCentralDirectory(entries.length, centralSize, offset)];
+}
+
+/**
+ * Incremental ZIP writer, for entries whose data arrives piece by piece (e.g.
+ * from a worker). Each call returns the bytes to write next, in call order:
+ * begin(name) the local header, data(segment) the segment itself (a string as
+ * UTF-8), end() the
+ * data descriptor carrying CRC and sizes, finish() the central directory parts.
+ * One entry is open at a time.
+ */
+function createZipWriter(date = new Date()) {
+  const { time, day } = dosDateTime(date);
+  const centralParts = [];
+  let offset = 0;
+  let entry = null;
+
+  return {
+    begin(name) {
+      entry = { name: textEncoder.encode(name), flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR, time, day, crc: 0, size: 0, offset };
+      const local = localHeader(entry.name, entry);
+      offset += local.length;
+      return local;
+    },
+    data(segment) {
+      const bytes = entryData(segment);
+      entry.crc = crc32(bytes, entry.crc);
+      entry.size += bytes.length;
+      offset += bytes.length;
+      return bytes;
+    },
+    end() {
+      const descriptor = dataDescriptor(entry);
+      centralParts.push(centralHeader(entry.name, entry));
+      offset += descriptor.length;
+      entry = null;
+      return descriptor;
+    },
+    finish() {
+      const centralSize = centralParts.reduce((s, a) => s + a.length, 0);
+      return [...centralParts, endOfCentralDirectory(centralParts.length, centralSize, offset)];
+    },
+  };
+}
+
+/**
+ * Build a ZIP archive one entry at a time, yielding its parts in order.
+ * entries: iterable of { name, data: Uint8Array | string } or { name, segments }
+ * where segments is an iterable of Uint8Arrays. Entries and segments are pulled
+ * only when the previous part has been consumed, so a generator can build each
+ * entry's data on demand and only the current segment has to be in memory.
+ * CRC and sizes follow each entry's data in a data descriptor.
+ */
+function* streamZipParts(entries, date = new Date()) {
+  const zip = createZipWriter(date);
+  for (const entry of entries) {
+    yield zip.begin(entry.name);
+    for (const segment of entry.segments ?? [entryData(entry.data)]) yield zip.data(segment);
+    yield zip.end();
+  }
+  yield* zip.finish();
+}
+
+/** Build a ZIP archive (see createZipParts) as one Uint8Array */
+function createZip(entries, date = new Date()) {
+  const parts = createZipParts(entries, date);
+  const result = new Uint8Array(parts.reduce((s, p) => s + p.length, 0));
+  let pos = 0;
+  for (const p of parts) { result.set(p, pos); pos += p.length; }
+  return result;
+}
+
+export { crc32, createZip, createZipParts, createZipWriter, streamZipParts };